@@ -0,0 +1,131 @@
+const { STOP_WORDS } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Share of the snapshot's videos that contain each item, keyed by item id
+ */
+function getShares(snapshot, field, idField) {
+    const shares = new Map();
+    const total = snapshot.totalVideos || 0;
+    (snapshot[field] || []).forEach((item) => {
+        shares.set(item[idField], {
+            count: item.count,
+            share: total > 0 ? item.count / total : 0,
+        });
+    });
+    return shares;
+}
+
+/**
+ * Compare the latest snapshot's items with earlier ones.
+ *
+ * Counts are turned into shares (count / videos analyzed) so runs with
+ * different limits stay comparable. `velocity` is the change in share since
+ * the previous snapshot, in percentage points per day (gaps under a day
+ * count as a full day).
+ */
+function classifyItems(snapshots, field, idField, options) {
+    const { minVelocity } = options;
+    const current = snapshots[snapshots.length - 1];
+    const previous = snapshots[snapshots.length - 2];
+    const earlier = snapshots.slice(0, -1);
+
+    const currentShares = getShares(current, field, idField);
+    const previousShares = getShares(previous, field, idField);
+    const earlierShares = earlier.map((s) => getShares(s, field, idField));
+
+    // Less than a day apart counts as one day: back-to-back runs (an hour
+    // apart) would otherwise turn ordinary sampling noise into huge velocities
+    const elapsedDays = Math.max((new Date(current.timestamp) - new Date(previous.timestamp)) / DAY_MS, 1);
+
+    const ids = new Set([...currentShares.keys(), ...previousShares.keys()]);
+    const items = [];
+
+    ids.forEach((id) => {
+        // Evergreen tags like #fyp say nothing about what's new
+        if (STOP_WORDS.has(String(id).replace(/^#/, ''))) return;
+
+        const now = currentShares.get(id) || { count: 0, share: 0 };
+        const before = previousShares.get(id) || { count: 0, share: 0 };
+        const seenBefore = earlierShares.filter((shares) => shares.has(id));
+        const baselineShare =
+            earlierShares.reduce((sum, shares) => sum + (shares.has(id) ? shares.get(id).share : 0), 0) /
+            earlierShares.length;
+
+        const velocity = ((now.share - before.share) * 100) / elapsedDays;
+
+        let status = 'stable';
+        if (now.count > 0 && seenBefore.length === 0) status = 'new';
+        else if (velocity >= minVelocity && now.share > baselineShare) status = 'accelerating';
+        else if (velocity <= -minVelocity) status = 'declining';
+
+        items.push({
+            [idField]: id,
+            status,
+            velocity: Math.round(velocity * 100) / 100,
+            currentCount: now.count,
+            previousCount: before.count,
+            currentShare: Math.round(now.share * 1000) / 1000,
+            baselineShare: Math.round(baselineShare * 1000) / 1000,
+            seenInSnapshots: seenBefore.length,
+        });
+    });
+
+    const pick = (status) => items.filter((i) => i.status === status);
+    return {
+        new: pick('new').sort((a, b) => b.velocity - a.velocity),
+        accelerating: pick('accelerating').sort((a, b) => b.velocity - a.velocity),
+        declining: pick('declining').sort((a, b) => a.velocity - b.velocity),
+    };
+}
+
+/**
+ * Detect newly appearing, accelerating and declining hashtags/keywords
+ * @param {Array} snapshots - History snapshots for one keyword, oldest first (see getSnapshots);
+ *   only those sharing the latest one's basis are compared
+ * @param {object} options - { minVelocity: percentage points per day }
+ * @returns {object} Emerging analysis for the latest snapshot
+ */
+function detectEmerging(snapshots, options = {}) {
+    const { minVelocity = 5 } = options;
+
+    // Top-20 snapshots ranked by different rankBy values can't be compared
+    if (snapshots && snapshots.length > 0) {
+        const { basis } = snapshots[snapshots.length - 1];
+        snapshots = snapshots.filter((snapshot) => snapshot.basis === basis);
+    }
+
+    if (!snapshots || snapshots.length < 2) {
+        return {
+            comparedSnapshots: snapshots ? snapshots.length : 0,
+            currentSnapshot: snapshots && snapshots.length ? snapshots[snapshots.length - 1].timestamp : null,
+            hashtags: { new: [], accelerating: [], declining: [] },
+            keywords: { new: [], accelerating: [], declining: [] },
+            summary: 'Not enough history yet: at least 2 snapshots are needed to detect emerging items.',
+        };
+    }
+
+    const hashtags = classifyItems(snapshots, 'hashtags', 'tag', { minVelocity });
+    const keywords = classifyItems(snapshots, 'keywords', 'word', { minVelocity });
+
+    const newTags = hashtags.new.slice(0, 3).map((h) => h.tag).join(', ');
+    const risingTags = hashtags.accelerating.slice(0, 3).map((h) => h.tag).join(', ');
+
+    const summary =
+        `Compared ${snapshots.length} snapshots. ` +
+        (newTags ? `New hashtags: ${newTags}. ` : '') +
+        (risingTags ? `Accelerating: ${risingTags}. ` : '') +
+        `${hashtags.declining.length} hashtags declining.`;
+
+    return {
+        comparedSnapshots: snapshots.length,
+        previousSnapshot: snapshots[snapshots.length - 2].timestamp,
+        currentSnapshot: snapshots[snapshots.length - 1].timestamp,
+        hashtags,
+        keywords,
+        summary,
+    };
+}
+
+module.exports = { detectEmerging };
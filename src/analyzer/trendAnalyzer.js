@@ -1,23 +1,64 @@
 const { STOP_WORDS } = require('../utils/helpers');
+const { ValidationError } = require('../utils/errors');
+
+// count: number of videos, views: summed views, engagement: summed likes + comments + shares
+const RANK_MODES = ['count', 'views', 'engagement'];
+
+function getEngagement(video) {
+    return (video.likes || 0) + (video.comments || 0) + (video.shares || 0);
+}
 
 /**
- * Analyze scraped video data to extract trending themes
- * @param {Array} videos - Array of video objects from scraper
- * @param {string} keyword - Original search keyword
- * @returns {object} Trend analysis results
+ * Weight of a single video under the given ranking mode
  */
-function analyzeTrends(videos, keyword = '') {
-    if (!videos || videos.length === 0) {
-        return {
-            trendingHashtags: [],
-            trendingKeywords: [],
-            topVideos: [],
-            themes: [],
-            summary: 'No videos found to analyze.',
-        };
+function getVideoScore(video, rankBy) {
+    if (rankBy === 'views') return video.views || 0;
+    if (rankBy === 'engagement') return getEngagement(video);
+    return 1;
+}
+
+/**
+ * Add one video's reach to a hashtag/keyword/theme entry
+ */
+function addReach(entry, video, rankBy) {
+    entry.count++;
+    entry.totalViews += video.views || 0;
+    entry.totalEngagement += getEngagement(video);
+    entry.score += getVideoScore(video, rankBy);
+}
+
+function byScore(a, b) {
+    return b.score - a.score || b.count - a.count;
+}
+
+/**
+ * Words of the search keyword, left out of the keyword lists and themes.
+ * `keyword` is one search term or a batch's list of seed keywords.
+ */
+function toKeywordTokens(keyword) {
+    return [].concat(keyword).flatMap((seed) => seed.toLowerCase().split(/\s+/)).filter(Boolean);
+}
+
+/**
+ * Whether a hashtag term (no "#") is the search keyword itself.
+ * One keyword: any tag containing one of its words (#hokskin for "hok").
+ * Seed lists: exact words or whole seeds only, as short words from many
+ * seeds ("of") would otherwise drop unrelated tags (#coffee).
+ */
+function createSeedMatcher(keyword) {
+    const keywordTokens = toKeywordTokens(keyword);
+    if (!Array.isArray(keyword)) {
+        return (term) => keywordTokens.some((kw) => term.includes(kw));
     }
+    const seedTerms = new Set([...keywordTokens, ...keyword.map((seed) => seed.toLowerCase().replace(/\s+/g, ''))]);
+    return (term) => seedTerms.has(term);
+}
 
-    // --- 1. Trending Hashtags ---
+/**
+ * Every hashtag and description keyword with its reach, keyed by tag/word.
+ * Unsorted and unfiltered; callers rank and cut.
+ */
+function tallyItems(videos, keyword, rankBy) {
     const hashtagMap = new Map();
     videos.forEach((video) => {
         const seen = new Set();
@@ -27,31 +68,22 @@ function analyzeTrends(videos, keyword = '') {
             seen.add(normalizedTag);
 
             if (!hashtagMap.has(normalizedTag)) {
-                hashtagMap.set(normalizedTag, { tag: normalizedTag, count: 0 });
+                hashtagMap.set(normalizedTag, {
+                    tag: normalizedTag,
+                    count: 0,
+                    totalViews: 0,
+                    totalEngagement: 0,
+                    score: 0,
+                });
             }
-            const entry = hashtagMap.get(normalizedTag);
-            entry.count++;
+            addReach(hashtagMap.get(normalizedTag), video, rankBy);
         });
     });
 
-    const trendingHashtags = Array.from(hashtagMap.values())
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 20);
-
-    // --- 2. Trending Keywords ---
-    const keywordLower = keyword.toLowerCase().split(/\s+/);
+    const keywordTokens = toKeywordTokens(keyword);
     const wordMap = new Map();
-
     videos.forEach((video) => {
-        if (!video.description) return;
-
-        // Remove hashtags from description for word analysis
-        const textWithoutHashtags = video.description.replace(/#[\w\u00C0-\u024F\u1E00-\u1EFF]+/g, '');
-        const words = textWithoutHashtags
-            .toLowerCase()
-            .replace(/[^\w\s\u00C0-\u024F\u1E00-\u1EFF]/g, ' ')
-            .split(/\s+/)
-            .filter((w) => w.length > 2 && !STOP_WORDS.has(w) && !keywordLower.includes(w));
+        const words = extractWords(video.description, keywordTokens);
 
         const seenWords = new Set();
         words.forEach((word) => {
@@ -59,34 +91,94 @@ function analyzeTrends(videos, keyword = '') {
             seenWords.add(word);
 
             if (!wordMap.has(word)) {
-                wordMap.set(word, { word, count: 0 });
+                wordMap.set(word, {
+                    word,
+                    count: 0,
+                    totalViews: 0,
+                    totalEngagement: 0,
+                    score: 0,
+                });
             }
-            const entry = wordMap.get(word);
-            entry.count++;
+            addReach(wordMap.get(word), video, rankBy);
         });
     });
 
+    return { hashtagMap, wordMap };
+}
+
+/**
+ * Full per-item counts, independent of rankBy and of the top-20 cut:
+ * what history snapshots store so runs stay comparable.
+ * @returns {{ hashtags: Array, keywords: Array }} Most frequent first
+ */
+function countItems(videos, keyword = '') {
+    const { hashtagMap, wordMap } = tallyItems(videos || [], keyword, 'count');
+    const strip = ({ score, ...item }) => item;
+    const byCount = (a, b) => b.count - a.count;
+    return {
+        hashtags: Array.from(hashtagMap.values()).sort(byCount).map(strip),
+        keywords: Array.from(wordMap.values()).sort(byCount).map(strip),
+    };
+}
+
+/**
+ * Analyze scraped video data to extract trending themes
+ * @param {Array} videos - Array of video objects from scraper
+ * @param {string|string[]} keyword - Original search keyword, or a batch's seed keywords
+ * @param {object} options - { rankBy: 'count'|'views'|'engagement' }
+ * @returns {object} Trend analysis results
+ */
+function analyzeTrends(videos, keyword = '', options = {}) {
+    const { rankBy = 'count' } = options;
+    if (!RANK_MODES.includes(rankBy)) {
+        throw new ValidationError(`Invalid rankBy: "${rankBy}". Valid: ${RANK_MODES.join(', ')}`);
+    }
+
+    if (!videos || videos.length === 0) {
+        return {
+            rankBy,
+            trendingHashtags: [],
+            trendingKeywords: [],
+            topVideos: [],
+            themes: [],
+            summary: 'No videos found to analyze.',
+        };
+    }
+
+    const { hashtagMap, wordMap } = tallyItems(videos, keyword, rankBy);
+
+    // --- 1. Trending Hashtags ---
+    const trendingHashtags = Array.from(hashtagMap.values())
+        .sort(byScore)
+        .slice(0, 20);
+
+    // --- 2. Trending Keywords ---
     const trendingKeywords = Array.from(wordMap.values())
         .filter((w) => w.count >= 2) // At least appears in 2 videos
-        .sort((a, b) => b.count - a.count)
+        .sort(byScore)
         .slice(0, 20);
 
-    // --- 3. Top Videos ---
-    const topVideos = videos.slice(0, 10);
+    // --- 3. Top Videos (stable sort keeps DOM order for rankBy=count) ---
+    const topVideos = videos
+        .map((video) => ({ ...video, score: getVideoScore(video, rankBy) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 10);
 
-    // --- 4. Theme Clustering (simple approach based on co-occurring hashtags) ---
-    const themes = clusterThemes(videos, keyword);
+    // --- 4. Theme Clustering (hashtag/keyword co-occurrence graph) ---
+    const themes = clusterThemes(videos, keyword, rankBy);
 
     // --- 5. Summary ---
     const topTags = trendingHashtags.slice(0, 3).map((h) => h.tag).join(', ');
     const topWords = trendingKeywords.slice(0, 3).map((w) => w.word).join(', ');
+    const totalViews = videos.reduce((sum, v) => sum + (v.views || 0), 0);
 
     const summary =
-        `Analyzed ${videos.length} videos for "${keyword}". ` +
+        `Analyzed ${videos.length} videos for "${[].concat(keyword).join('", "')}" (${formatNumber(totalViews)} total views, ranked by ${rankBy}). ` +
         (topTags ? `Top hashtags: ${topTags}. ` : '') +
         (topWords ? `Trending topics: ${topWords}.` : '');
 
     return {
+        rankBy,
         trendingHashtags,
         trendingKeywords,
         topVideos,
@@ -96,38 +188,164 @@ function analyzeTrends(videos, keyword = '') {
 }
 
 /**
- * Simple theme clustering based on hashtag co-occurrence
+ * Split a description into candidate keywords (hashtags, stop words and
+ * the search keyword itself removed)
  */
-function clusterThemes(videos, keyword) {
-    const themeCounts = new Map();
+function extractWords(description, keywordTokens) {
+    if (!description) return [];
 
-    videos.forEach((video) => {
-        const tags = video.hashtags.filter(
-            (t) => !keyword.toLowerCase().split(/\s+/).some((kw) => t.includes(kw))
+    // Remove hashtags from description for word analysis
+    const textWithoutHashtags = description.replace(/#[\p{L}\p{M}\p{N}_]+/gu, '');
+    return textWithoutHashtags
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}_\s]/gu, ' ')
+        .split(/\s+/)
+        .filter((w) => w.length > 2 && !STOP_WORDS.has(w) && !keywordTokens.includes(w));
+}
+
+/**
+ * Theme clustering based on hashtag/keyword co-occurrence.
+ *
+ * Every hashtag and description keyword that appears in at least
+ * `minSupport` videos becomes a node. Two nodes are linked when they appear
+ * together in at least `minSupport` videos and their Jaccard similarity
+ * (shared videos / videos containing either) reaches `minSimilarity`.
+ * Each connected component of that graph is one theme, so tags that always
+ * travel together (e.g. #hok and #honorofkings) end up in the same theme.
+ */
+function clusterThemes(videos, keyword, rankBy = 'count', options = {}) {
+    const { minSupport = 2, minSimilarity = 0.3, maxThemes = 10 } = options;
+    const keywordTokens = toKeywordTokens(keyword);
+    const isSeedTerm = createSeedMatcher(keyword);
+
+    // --- 1. Terms per video (hashtag "#hok" and word "hok" share a node) ---
+    const hashtagTerms = new Set();
+    const videoTerms = videos.map((video) => {
+        const terms = new Set();
+        (video.hashtags || []).forEach((tag) => {
+            const term = tag.toLowerCase().replace(/^#/, '');
+            if (!term || STOP_WORDS.has(term)) return;
+            if (isSeedTerm(term)) return;
+            terms.add(term);
+            hashtagTerms.add(term);
+        });
+        extractWords(video.description, keywordTokens).forEach((word) => terms.add(word));
+        return terms;
+    });
+
+    // --- 2. Nodes: terms with enough support ---
+    const termVideos = new Map();
+    videoTerms.forEach((terms, index) => {
+        terms.forEach((term) => {
+            if (!termVideos.has(term)) termVideos.set(term, []);
+            termVideos.get(term).push(index);
+        });
+    });
+    const nodes = Array.from(termVideos.keys()).filter((term) => termVideos.get(term).length >= minSupport);
+    const nodeSet = new Set(nodes);
+
+    // --- 3. Edges: co-occurrence counts between nodes ---
+    const pairCounts = new Map();
+    videoTerms.forEach((terms) => {
+        const present = Array.from(terms).filter((t) => nodeSet.has(t)).sort();
+        for (let i = 0; i < present.length; i++) {
+            for (let j = i + 1; j < present.length; j++) {
+                const key = `${present[i]}\u0000${present[j]}`;
+                pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+            }
+        }
+    });
+
+    const similarity = (a, b) => {
+        const key = a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+        const shared = pairCounts.get(key) || 0;
+        const union = termVideos.get(a).length + termVideos.get(b).length - shared;
+        return { shared, jaccard: union > 0 ? shared / union : 0 };
+    };
+
+    // --- 4. Connected components over strong edges (union-find) ---
+    const parent = new Map(nodes.map((n) => [n, n]));
+    const find = (n) => {
+        while (parent.get(n) !== n) {
+            parent.set(n, parent.get(parent.get(n)));
+            n = parent.get(n);
+        }
+        return n;
+    };
+
+    pairCounts.forEach((shared, key) => {
+        const [a, b] = key.split('\u0000');
+        if (shared < minSupport) return;
+        if (similarity(a, b).jaccard < minSimilarity) return;
+        parent.set(find(a), find(b));
+    });
+
+    const components = new Map();
+    nodes.forEach((node) => {
+        const root = find(node);
+        if (!components.has(root)) components.set(root, []);
+        components.get(root).push(node);
+    });
+
+    // --- 5. Describe each component as a theme ---
+    const themes = Array.from(components.values()).map((members) => {
+        // Most frequent first; hashtags win ties so they label the theme
+        members.sort((a, b) =>
+            termVideos.get(b).length - termVideos.get(a).length ||
+            hashtagTerms.has(b) - hashtagTerms.has(a) ||
+            a.localeCompare(b)
         );
 
-        tags.forEach((tag) => {
-            if (!themeCounts.has(tag)) {
-                themeCounts.set(tag, {
-                    theme: tag.replace('#', ''),
-                    videos: 0,
-                    sampleDescriptions: [],
-                });
+        // Cohesion: mean pairwise Jaccard similarity of the members
+        let pairTotal = 0;
+        let pairs = 0;
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                pairTotal += similarity(members[i], members[j]).jaccard;
+                pairs++;
             }
-            const entry = themeCounts.get(tag);
-            entry.videos++;
-            if (entry.sampleDescriptions.length < 2) {
-                entry.sampleDescriptions.push(
+        }
+        const cohesion = pairs > 0 ? Math.round((pairTotal / pairs) * 100) / 100 : 1;
+
+        // Videos matching the theme, most on-topic first
+        const matches = [];
+        videoTerms.forEach((terms, index) => {
+            const hits = members.filter((m) => terms.has(m)).length;
+            if (hits > 0) matches.push({ video: videos[index], hits });
+        });
+        matches.sort((a, b) => b.hits - a.hits || getVideoScore(b.video, rankBy) - getVideoScore(a.video, rankBy));
+
+        const theme = {
+            label: members[0],
+            tags: members.map((m) => (hashtagTerms.has(m) ? `#${m}` : m)),
+            videos: 0,
+            totalViews: 0,
+            totalEngagement: 0,
+            score: 0,
+            cohesion,
+            sampleDescriptions: [],
+        };
+
+        matches.forEach(({ video }) => {
+            theme.videos++;
+            theme.totalViews += video.views || 0;
+            theme.totalEngagement += getEngagement(video);
+            theme.score += getVideoScore(video, rankBy);
+            if (theme.sampleDescriptions.length < 2 && video.description) {
+                theme.sampleDescriptions.push(
                     video.description.substring(0, 100) + (video.description.length > 100 ? '...' : '')
                 );
             }
         });
+
+        return theme;
     });
 
-    return Array.from(themeCounts.values())
-        .filter((t) => t.videos >= 2)
-        .sort((a, b) => b.videos - a.videos)
-        .slice(0, 10);
+    // A lone keyword is not a theme; a lone hashtag still is
+    return themes
+        .filter((t) => t.videos >= minSupport && (t.tags.length > 1 || t.tags[0].startsWith('#')))
+        .sort((a, b) => b.score - a.score || b.videos - a.videos)
+        .slice(0, maxThemes);
 }
 
 function formatNumber(num) {
@@ -137,4 +355,4 @@ function formatNumber(num) {
     return num.toString();
 }
 
-module.exports = { analyzeTrends };
+module.exports = { analyzeTrends, countItems, RANK_MODES };
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File cache backend: one JSON file per entry, so the cache survives restarts
+ * @param {string} dir - Directory for cache files
+ */
+function createFileBackend(dir) {
+    const getFile = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+    const readFile = (file) => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch {
+            return null;
+        }
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: 'file',
+        // Oldest first, so the LRU index can be rebuilt on startup
+        load: () =>
+            fs
+                .readdirSync(dir)
+                .filter((name) => name.endsWith('.json'))
+                .map((name) => readFile(path.join(dir, name)))
+                .filter((record) => record && record.key && record.entry)
+                .sort((a, b) => a.entry.storedAt - b.entry.storedAt),
+        get: (key) => {
+            const record = readFile(getFile(key));
+            return record && record.key === key ? record.entry : null;
+        },
+        set: (key, entry) => {
+            try {
+                fs.writeFileSync(getFile(key), JSON.stringify({ key, entry }));
+            } catch (err) {
+                console.log('[Cache] Failed to write cache file:', err.message);
+            }
+        },
+        delete: (key) => {
+            try {
+                fs.unlinkSync(getFile(key));
+            } catch { }
+        },
+        clear: () => {
+            fs.readdirSync(dir)
+                .filter((name) => name.endsWith('.json'))
+                .forEach((name) => {
+                    try {
+                        fs.unlinkSync(path.join(dir, name));
+                    } catch { }
+                });
+        },
+    };
+}
+
+module.exports = { createFileBackend };
@@ -0,0 +1,23 @@
+/**
+ * In-memory cache backend (lost on restart)
+ */
+function createMemoryBackend() {
+    const store = new Map();
+
+    return {
+        name: 'memory',
+        load: () => Array.from(store.entries()).map(([key, entry]) => ({ key, entry })),
+        get: (key) => store.get(key) || null,
+        set: (key, entry) => {
+            store.set(key, entry);
+        },
+        delete: (key) => {
+            store.delete(key);
+        },
+        clear: () => {
+            store.clear();
+        },
+    };
+}
+
+module.exports = { createMemoryBackend };
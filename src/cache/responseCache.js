@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createMemoryBackend } = require('./memoryBackend');
+const { createFileBackend } = require('./fileBackend');
+
+// ─── Backend & LRU Index ──────────────────────────────────
+const backend =
+    config.cache.backend === 'file' ? createFileBackend(config.cache.dir) : createMemoryBackend();
+
+// Full key -> { route, expiresAt }, kept in least-recently-used order
+const index = new Map();
+backend.load().forEach(({ key, entry }) => {
+    index.set(key, { route: entry.route, expiresAt: entry.expiresAt });
+});
+console.log(`[Cache] Using ${backend.name} backend (${index.size} entries loaded)`);
+
+function getFullKey(route, key) {
+    return `${route}:${key}`;
+}
+
+function touch(fullKey, meta) {
+    index.delete(fullKey);
+    index.set(fullKey, meta);
+}
+
+function removeKey(fullKey) {
+    index.delete(fullKey);
+    backend.delete(fullKey);
+}
+
+function evictIfNeeded() {
+    // Map iteration order is oldest access first
+    while (index.size > config.cache.maxEntries) {
+        const oldest = index.keys().next().value;
+        removeKey(oldest);
+    }
+}
+
+// ─── Public API ───────────────────────────────────────────
+function get(route, key) {
+    const fullKey = getFullKey(route, key);
+    const meta = index.get(fullKey);
+    if (!meta) return null;
+
+    if (Date.now() > meta.expiresAt) {
+        removeKey(fullKey);
+        return null;
+    }
+
+    const entry = backend.get(fullKey);
+    if (!entry) {
+        index.delete(fullKey);
+        return null;
+    }
+
+    touch(fullKey, meta);
+    return entry;
+}
+
+function set(route, key, data) {
+    const fullKey = getFullKey(route, key);
+    const ttl = config.cache.ttl[route] || config.cacheTTL;
+    const storedAt = Date.now();
+
+    const entry = {
+        route,
+        key: fullKey,
+        data,
+        etag: `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`,
+        storedAt,
+        expiresAt: storedAt + ttl,
+    };
+
+    backend.set(fullKey, entry);
+    touch(fullKey, { route, expiresAt: entry.expiresAt });
+    evictIfNeeded();
+    return entry;
+}
+
+/**
+ * Return the cached entry for route+key, or run `producer` and cache its result.
+ * @param {string} route - trending|search|keywords (selects the TTL)
+ * @param {string} key - Cache key within the route
+ * @param {object} options - { refresh: boolean } skips the read but still stores
+ * @param {Function} producer - async () => data
+ * @returns {Promise<{ data, etag, storedAt, expiresAt, fromCache }>}
+ */
+async function wrap(route, key, options, producer) {
+    const { refresh = false } = options;
+
+    if (!refresh) {
+        const cached = get(route, key);
+        if (cached) {
+            console.log(`[Cache] Hit: ${cached.key}`);
+            return { ...cached, fromCache: true };
+        }
+    }
+
+    const data = await producer();
+    return { ...set(route, key, data), fromCache: false };
+}
+
+/**
+ * Remove entries by route and/or glob pattern ("*" wildcard) on the full key
+ * @returns {string[]} Removed keys
+ */
+function clear(filter = {}) {
+    const { route, pattern } = filter;
+
+    if (!route && !pattern) {
+        const removed = Array.from(index.keys());
+        index.clear();
+        backend.clear();
+        return removed;
+    }
+
+    const regex = pattern
+        ? new RegExp('^' + pattern.split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i')
+        : null;
+
+    const removed = [];
+    Array.from(index.entries()).forEach(([fullKey, meta]) => {
+        if (route && meta.route !== route) return;
+        if (regex && !regex.test(fullKey)) return;
+        removeKey(fullKey);
+        removed.push(fullKey);
+    });
+    return removed;
+}
+
+function getCacheStats() {
+    const routes = {};
+    index.forEach((meta) => {
+        routes[meta.route] = (routes[meta.route] || 0) + 1;
+    });
+    return {
+        backend: backend.name,
+        entries: index.size,
+        maxEntries: config.cache.maxEntries,
+        routes,
+    };
+}
+
+// ─── HTTP Helpers ─────────────────────────────────────────
+/**
+ * Send a cached result with ETag/Cache-Control headers (304 when unchanged)
+ */
+function sendCached(req, res, result) {
+    const maxAge = Math.max(Math.floor((result.expiresAt - Date.now()) / 1000), 0);
+    res.set('ETag', result.etag);
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+
+    if (req.headers['if-none-match'] === result.etag) {
+        return res.status(304).end();
+    }
+
+    res.json({ ...result.data, fromCache: result.fromCache });
+}
+
+module.exports = { wrap, get, set, clear, getCacheStats, sendCached };
@@ -1,41 +1,108 @@
 require('dotenv').config();
 const path = require('path');
+const { loadKeywordToolAccounts } = require('./utils/accountLoader');
+
+const keywordToolAccounts = loadKeywordToolAccounts();
+
+const requestTimeout = parseInt(process.env.REQUEST_TIMEOUT_MS || '30000', 10);
+const keywordToolMaxPages = parseInt(process.env.KEYWORDTOOL_MAX_PAGES || '20', 10);
+// Longest a scrape holds a browser context: a KeywordTool run is roughly one
+// request per result page plus ~10 for login, search and tab switches
+const scrapeTimeBudget = requestTimeout * (keywordToolMaxPages + 10);
 
 module.exports = {
   port: parseInt(process.env.PORT || '3000', 10),
   headless: process.env.HEADLESS !== 'false',
   cacheTTL: parseInt(process.env.CACHE_TTL_MINUTES || '10', 10) * 60 * 1000,
-  maxScrollCount: parseInt(process.env.MAX_SCROLL_COUNT || '5', 10),
-  requestTimeout: parseInt(process.env.REQUEST_TIMEOUT_MS || '30000', 10),
-
-  // 3 akun KeywordTool.io — fallback otomatis
-  keywordToolAccounts: [
-    {
-      email: process.env.KEYWORDTOOL_EMAIL_1 || '',
-      password: process.env.KEYWORDTOOL_PASSWORD_1 || '',
-      cookieFile: path.join(__dirname, 'scraper', '.kt-cookies-1.json'),
+  maxVideoLimit: parseInt(process.env.MAX_VIDEO_LIMIT || '300', 10),
+  scrollTimeBudget: parseInt(process.env.SCROLL_TIME_BUDGET_MS || '120000', 10),
+  maxIdleScrolls: parseInt(process.env.MAX_IDLE_SCROLLS || '3', 10),
+  requestTimeout,
+
+  // Response cache shared by the scraping routes (TTL per route)
+  cache: {
+    backend: process.env.CACHE_BACKEND || 'memory', // memory | file
+    dir: process.env.CACHE_DIR || path.join(__dirname, '..', 'data', 'cache'),
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+    ttl: {
+      trending: parseInt(process.env.CACHE_TTL_MINUTES || '10', 10) * 60 * 1000,
+      search: parseInt(process.env.CACHE_SEARCH_TTL_MINUTES || '10', 10) * 60 * 1000,
+      hashtag: parseInt(process.env.CACHE_HASHTAG_TTL_MINUTES || '30', 10) * 60 * 1000,
+      creator: parseInt(process.env.CACHE_CREATOR_TTL_MINUTES || '30', 10) * 60 * 1000,
+      keywords: parseInt(process.env.CACHE_KEYWORDS_TTL_MINUTES || '1440', 10) * 60 * 1000,
     },
-    {
-      email: process.env.KEYWORDTOOL_EMAIL_2 || '',
-      password: process.env.KEYWORDTOOL_PASSWORD_2 || '',
-      cookieFile: path.join(__dirname, 'scraper', '.kt-cookies-2.json'),
+  },
+
+  // Shared Chromium pool used by both scrapers
+  browserPool: {
+    maxConcurrency: parseInt(process.env.BROWSER_MAX_CONCURRENCY || '2', 10),
+    contextsPerBrowser: parseInt(process.env.BROWSER_CONTEXTS_PER_BROWSER || '2', 10),
+    maxUsesPerBrowser: parseInt(process.env.BROWSER_MAX_USES || '20', 10),
+    // Waiting for a context means waiting for a scrape to finish: one full scrape budget by default
+    acquireTimeout: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS || String(scrapeTimeBudget), 10),
+  },
+
+  // Async scrape jobs (POST /api/jobs)
+  jobs: {
+    concurrency: {
+      tiktok: parseInt(process.env.JOBS_TIKTOK_CONCURRENCY || '2', 10),
+      keywordtool: parseInt(process.env.JOBS_KEYWORDTOOL_CONCURRENCY || '1', 10),
     },
-    {
-      email: process.env.KEYWORDTOOL_EMAIL_3 || '',
-      password: process.env.KEYWORDTOOL_PASSWORD_3 || '',
-      cookieFile: path.join(__dirname, 'scraper', '.kt-cookies-3.json'),
+    maxAttempts: parseInt(process.env.JOBS_MAX_ATTEMPTS || '3', 10),
+    retryBaseDelay: parseInt(process.env.JOBS_RETRY_BASE_DELAY_MS || '5000', 10),
+    resultTTL: parseInt(process.env.JOBS_RESULT_TTL_MINUTES || '60', 10) * 60 * 1000,
+  },
+
+  // Batch endpoints (POST /api/trending/batch, /api/keywords/:platform/batch)
+  batch: {
+    maxKeywords: parseInt(process.env.BATCH_MAX_KEYWORDS || '50', 10),
+    concurrency: {
+      tiktok: parseInt(process.env.BATCH_TIKTOK_CONCURRENCY || '2', 10),
+      keywordtool: parseInt(process.env.BATCH_KEYWORDTOOL_CONCURRENCY || '1', 10),
     },
-  ].filter((a) => a.email && a.password),
-
-  userAgents: [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:133.0) Gecko/20100101 Firefox/133.0',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:133.0) Gecko/20100101 Firefox/133.0',
-  ],
-
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+  },
+
+  // KeywordTool result tables: CSV export when allowed, otherwise page through
+  keywordTool: {
+    useExport: process.env.KEYWORDTOOL_USE_EXPORT !== 'false',
+    maxPages: keywordToolMaxPages,
+  },
+
+  // KeywordTool account rotation: cooldown after failures, per-account locks
+  accounts: {
+    cooldownBase: parseInt(process.env.ACCOUNT_COOLDOWN_MINUTES || '5', 10) * 60 * 1000,
+    cooldownMax: parseInt(process.env.ACCOUNT_COOLDOWN_MAX_MINUTES || '60', 10) * 60 * 1000,
+    otpCooldown: parseInt(process.env.ACCOUNT_OTP_COOLDOWN_MINUTES || '360', 10) * 60 * 1000,
+    blurredCooldown: parseInt(process.env.ACCOUNT_BLURRED_COOLDOWN_MINUTES || '60', 10) * 60 * 1000,
+    lockTimeout: parseInt(process.env.ACCOUNT_LOCK_TIMEOUT_MS || '300000', 10),
+  },
+
+  // Outbound proxies: rotated per TikTok scrape, pinned per KeywordTool account
+  proxies: {
+    list: (process.env.PROXY_LIST || '').split(',').map((url) => url.trim()).filter(Boolean),
+    file: process.env.PROXY_FILE || null, // one proxy URL per line
+    maxFailures: parseInt(process.env.PROXY_MAX_FAILURES || '3', 10),
+    retryDeadAfter: parseInt(process.env.PROXY_RETRY_DEAD_MINUTES || '30', 10) * 60 * 1000,
+  },
+
+  // GET /api/diagnostics canary scrapes; failed steps leave a screenshot + HTML in `dir`
+  diagnostics: {
+    dir: process.env.DIAGNOSTICS_DIR || path.join(__dirname, '..', 'data', 'diagnostics'),
+    tiktokKeyword: process.env.DIAGNOSTICS_TIKTOK_KEYWORD || 'funny cats',
+    keywordToolKeyword: process.env.DIAGNOSTICS_KEYWORDTOOL_KEYWORD || 'coffee',
+  },
+
+  // Snapshot history of /api/trending results (JSON-lines per keyword)
+  historyEnabled: process.env.HISTORY_ENABLED !== 'false',
+  historyDir: process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history'),
+
+  // Akun KeywordTool.io — dari KEYWORDTOOL_ACCOUNTS_FILE atau KEYWORDTOOL_EMAIL_<n>
+  // Each: { email, password, cookieFile, proxy, platform, dailyQuota, plan }
+  keywordToolAccounts: keywordToolAccounts.accounts,
+  // Reported by server.js at startup; the server refuses to start on errors
+  accountConfig: {
+    source: keywordToolAccounts.source,
+    errors: keywordToolAccounts.errors,
+    warnings: keywordToolAccounts.warnings,
   },
 };
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError, ValidationError, toAppError, toPublicDetail } = require('../utils/errors');
+
+// ─── Job Registry & State ─────────────────────────────────
+// type -> { source, normalize(params), validate(params), run(params, onProgress) }
+// normalize/validate throw a ValidationError for bad params
+const jobTypes = new Map();
+const jobs = new Map();
+const inFlight = new Map(); // dedupeKey -> job id
+const queues = new Map(); // source -> [job]
+const running = new Map(); // source -> number of running jobs
+
+/**
+ * Register a job type
+ * @param {string} type - Job type name used in POST /api/jobs
+ * @param {object} definition - { source, normalize, validate, run }
+ */
+function registerJobType(type, definition) {
+    jobTypes.set(type, definition);
+}
+
+function getJobTypes() {
+    return Array.from(jobTypes.keys());
+}
+
+// Stable key so { a: 1, b: 2 } and { b: 2, a: 1 } are the same job
+function getDedupeKey(type, params) {
+    const sorted = Object.keys(params)
+        .sort()
+        .reduce((acc, key) => {
+            acc[key] = params[key];
+            return acc;
+        }, {});
+    return `${type}:${JSON.stringify(sorted)}`;
+}
+
+// ─── Public API ───────────────────────────────────────────
+/**
+ * Create a job, or return the identical job that is already queued/running
+ * @returns {{ job: object, deduplicated: boolean }}
+ */
+function createJob(type, params = {}) {
+    const definition = jobTypes.get(type);
+    if (!definition) {
+        throw new ValidationError(`Invalid job type: "${type}". Valid: ${getJobTypes().join(', ')}`, {
+            details: { validTypes: getJobTypes() },
+        });
+    }
+
+    purgeExpiredJobs();
+    const normalized = definition.normalize ? definition.normalize(params) : params;
+    if (definition.validate) definition.validate(normalized);
+
+    const dedupeKey = getDedupeKey(type, normalized);
+    const existingId = inFlight.get(dedupeKey);
+    if (existingId && jobs.has(existingId)) {
+        return { job: jobs.get(existingId), deduplicated: true };
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        source: definition.source,
+        params: normalized,
+        status: 'queued',
+        progress: { percent: 0, message: 'Queued' },
+        attempts: 0,
+        maxAttempts: config.jobs.maxAttempts,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        nextRetryAt: null,
+        result: null,
+        error: null,
+        errorCode: null, // e.g. 'captcha', 'rate_limited' for typed scraper errors
+        dedupeKey,
+    };
+
+    jobs.set(job.id, job);
+    inFlight.set(dedupeKey, job.id);
+    enqueue(job);
+
+    return { job, deduplicated: false };
+}
+
+function getJob(id) {
+    purgeExpiredJobs();
+    return jobs.get(id) || null;
+}
+
+/**
+ * Public view of a job (internal bookkeeping removed)
+ */
+function serializeJob(job) {
+    const { dedupeKey, ...publicJob } = job;
+    return publicJob;
+}
+
+function getQueueStats() {
+    const stats = {};
+    jobTypes.forEach((definition) => {
+        const source = definition.source;
+        stats[source] = {
+            concurrency: getConcurrency(source),
+            running: running.get(source) || 0,
+            queued: (queues.get(source) || []).length,
+        };
+    });
+    return stats;
+}
+
+// ─── Scheduling ───────────────────────────────────────────
+function getConcurrency(source) {
+    return config.jobs.concurrency[source] || 1;
+}
+
+function enqueue(job) {
+    if (!queues.has(job.source)) queues.set(job.source, []);
+    queues.get(job.source).push(job);
+    drain(job.source);
+}
+
+function drain(source) {
+    const queue = queues.get(source) || [];
+    while (queue.length > 0 && (running.get(source) || 0) < getConcurrency(source)) {
+        const job = queue.shift();
+        running.set(source, (running.get(source) || 0) + 1);
+        runJob(job).finally(() => {
+            running.set(source, running.get(source) - 1);
+            drain(source);
+        });
+    }
+}
+
+async function runJob(job) {
+    const definition = jobTypes.get(job.type);
+
+    job.status = 'running';
+    job.attempts++;
+    job.nextRetryAt = null;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.progress = { percent: 0, message: `Attempt ${job.attempts}/${job.maxAttempts}` };
+    console.log(`[Jobs] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const onProgress = (percent, message) => {
+        job.progress = { percent: Math.min(Math.max(Math.round(percent), 0), 100), message };
+    };
+
+    try {
+        job.result = await definition.run(job.params, onProgress);
+        job.status = 'completed';
+        job.error = null;
+        job.errorCode = null;
+        job.progress = { percent: 100, message: 'Done' };
+        finishJob(job);
+    } catch (err) {
+        job.error = toPublicDetail(toAppError(err));
+        job.errorCode = err.code || null;
+        console.error(`[Jobs] ${job.type} job ${job.id} failed:`, err instanceof AppError ? err.message : err);
+
+        const retryable = err.retryable !== false;
+        if (retryable && job.attempts < job.maxAttempts) {
+            // Exponential backoff with a little jitter, but never sooner than the
+            // error's own retryAfter hint (seconds, e.g. a TikTok captcha or rate limit)
+            const backoff = Math.max(config.jobs.retryBaseDelay * 2 ** (job.attempts - 1), (err.retryAfter || 0) * 1000);
+            const wait = backoff + Math.floor(Math.random() * 1000);
+            job.status = 'retrying';
+            job.nextRetryAt = new Date(Date.now() + wait).toISOString();
+            job.progress = { percent: 0, message: `Retrying in ${Math.round(wait / 1000)}s` };
+            setTimeout(() => enqueue(job), wait);
+            return;
+        }
+
+        job.status = 'failed';
+        finishJob(job);
+    }
+}
+
+function finishJob(job) {
+    job.finishedAt = new Date().toISOString();
+    if (inFlight.get(job.dedupeKey) === job.id) inFlight.delete(job.dedupeKey);
+}
+
+// Finished jobs are kept for polling, then dropped
+function purgeExpiredJobs() {
+    const now = Date.now();
+    jobs.forEach((job, id) => {
+        if (job.finishedAt && now - new Date(job.finishedAt).getTime() > config.jobs.resultTTL) {
+            jobs.delete(id);
+        }
+    });
+}
+
+// Also on a timer, so results of jobs nobody polls don't pile up in memory
+setInterval(purgeExpiredJobs, 60 * 1000).unref();
+
+module.exports = {
+    registerJobType,
+    getJobTypes,
+    createJob,
+    getJob,
+    serializeJob,
+    getQueueStats,
+};
@@ -0,0 +1,123 @@
+const { registerJobType } = require('./jobQueue');
+const { REGIONS } = require('../scraper/tiktokScraper');
+const { runTrending, runSearch, runKeywords, toResponseBody } = require('../services/scrapeService');
+const { normalizeKeywordList, runKeywordsBatch } = require('../services/batchService');
+const {
+    parseLimit,
+    requireKeyword,
+    validateTikTokOptions,
+    validateRankBy,
+    validateKeywordToolOptions,
+    parseKeywordFilters,
+    validateKeywordList,
+} = require('../utils/validators');
+
+// Same checks as the GET routes; these throw a ValidationError
+function validateTikTokJob(params, usage) {
+    requireKeyword(params.keyword, usage);
+    validateTikTokOptions(params, usage);
+}
+
+// Non-strings are kept as they are so requireKeyword() rejects them
+function trimKeyword(keyword) {
+    return typeof keyword === 'string' ? keyword.trim() : keyword;
+}
+
+// Resolve defaults here so equal jobs dedupe to the same key
+function normalizeTikTokOptions(params) {
+    const region = params.region || 'US';
+    const lang = params.lang || (REGIONS[region] ? REGIONS[region].lang : 'en');
+    return { region, lang, extraction: params.extraction || 'auto' };
+}
+
+// ─── trending (TikTok search + trend analysis) ────────────
+registerJobType('trending', {
+    source: 'tiktok',
+    normalize: (params) => ({
+        keyword: trimKeyword(params.keyword),
+        limit: parseLimit(params.limit),
+        rankBy: params.rankBy || 'count',
+        withDetails: params.details === true || params.details === 'true',
+        ...normalizeTikTokOptions(params),
+    }),
+    validate: (params) => {
+        const usage = 'POST /api/jobs {"type":"trending","params":{"keyword":"honor of kings","rankBy":"views"}}';
+        validateRankBy(params.rankBy, usage);
+        validateTikTokJob(params, usage);
+    },
+    run: (params, onProgress) => runTrending(params.keyword, { ...params, onProgress }).then(toResponseBody),
+});
+
+// ─── search (raw TikTok search results) ───────────────────
+registerJobType('search', {
+    source: 'tiktok',
+    normalize: (params) => ({
+        keyword: trimKeyword(params.keyword),
+        limit: parseLimit(params.limit),
+        withDetails: params.details === true || params.details === 'true',
+        ...normalizeTikTokOptions(params),
+    }),
+    validate: (params) => validateTikTokJob(params, 'POST /api/jobs {"type":"search","params":{"keyword":"honor of kings","limit":20}}'),
+    run: (params, onProgress) => runSearch(params.keyword, { ...params, onProgress }).then(toResponseBody),
+});
+
+// ─── keywords (keywordtool.io research) ───────────────────
+const KEYWORDS_USAGE = 'POST /api/jobs {"type":"keywords","params":{"keyword":"hok skin","platform":"google","minVolume":50}}';
+
+// Platform, tab, filters and location shared by "keywords" and "keywords-batch"
+function normalizeKeywordToolOptions(params, usage) {
+    const filters = parseKeywordFilters(params, usage);
+    return {
+        platform: params.platform || 'google',
+        tab: Array.isArray(params.tab) ? params.tab.join(',') : params.tab || 'suggestions',
+        ...filters,
+        // JSON has no Infinity, so "no maximum" is stored as null
+        maxVolume: filters.maxVolume === Infinity ? null : filters.maxVolume,
+        language: params.language || 'id',
+        country: params.country || null,
+    };
+}
+
+registerJobType('keywords', {
+    source: 'keywordtool',
+    normalize: (params) => ({
+        keyword: trimKeyword(params.keyword),
+        ...normalizeKeywordToolOptions(params, KEYWORDS_USAGE),
+    }),
+    validate: (params) => {
+        requireKeyword(params.keyword, KEYWORDS_USAGE);
+        validateKeywordToolOptions(params, KEYWORDS_USAGE);
+    },
+    run: (params, onProgress) =>
+        runKeywords(params.keyword, {
+            ...params,
+            maxVolume: params.maxVolume === null ? Infinity : params.maxVolume,
+            onProgress,
+        }).then(toResponseBody),
+});
+
+// ─── keywords-batch (keywordtool.io for many seeds) ───────
+// Also queued by POST /api/keywords/:platform/batch
+const KEYWORDS_BATCH_USAGE = 'POST /api/jobs {"type":"keywords-batch","params":{"keywords":["hok","mlbb"],"platform":"google","minVolume":50}}';
+
+registerJobType('keywords-batch', {
+    source: 'keywordtool',
+    normalize: (params) => ({
+        keywords: Array.isArray(params.keywords) ? normalizeKeywordList(params.keywords) : params.keywords,
+        ...normalizeKeywordToolOptions(params, KEYWORDS_BATCH_USAGE),
+        refresh: params.refresh === true || params.refresh === 'true',
+    }),
+    validate: (params) => {
+        validateKeywordList(params.keywords, KEYWORDS_BATCH_USAGE);
+        validateKeywordToolOptions(params, KEYWORDS_BATCH_USAGE);
+    },
+    run: async (params, onProgress) => {
+        const { platform, tab, language, country } = params;
+        const batch = await runKeywordsBatch(params.keywords, {
+            ...params,
+            maxVolume: params.maxVolume === null ? Infinity : params.maxVolume,
+            onProgress,
+        });
+        return { platform, tab, language, country, ...batch };
+    },
+});
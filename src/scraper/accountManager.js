@@ -0,0 +1,255 @@
+const fs = require('fs');
+const config = require('../config');
+const { TimeoutError } = require('../utils/errors');
+
+// ─── Account State ────────────────────────────────────────
+// email -> { successes, failures, otpHits, blurredResults, consecutiveFailures,
+//            lastUsedAt, lastSuccessAt, lastFailureAt, lastError, cooldownUntil, inUse,
+//            usesToday, usesDate }
+const states = new Map();
+const waiters = [];
+
+function getState(account) {
+    if (!states.has(account.email)) {
+        states.set(account.email, {
+            successes: 0,
+            failures: 0,
+            otpHits: 0,
+            blurredResults: 0,
+            consecutiveFailures: 0,
+            lastUsedAt: null,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null,
+            cooldownUntil: null,
+            inUse: false,
+            usesToday: 0,
+            usesDate: null,
+        });
+    }
+    return states.get(account.email);
+}
+
+function isCoolingDown(state, now = Date.now()) {
+    return Boolean(state.cooldownUntil && state.cooldownUntil > now);
+}
+
+// Uses since midnight (server time); the counter resets on the first use of a new day
+function getUsesToday(state, now = Date.now()) {
+    const today = new Date(now).toDateString();
+    return state.usesDate === today ? state.usesToday : 0;
+}
+
+function isOverQuota(account, state, now = Date.now()) {
+    return Boolean(account.dailyQuota && getUsesToday(state, now) >= account.dailyQuota);
+}
+
+function isUsable(account, state, now = Date.now()) {
+    return !isCoolingDown(state, now) && !isOverQuota(account, state, now);
+}
+
+/**
+ * 0-100. Starts at 100 and loses points for failures, blurred (free-tier)
+ * results, a failure streak and a missing cookie file (means a fresh login).
+ */
+function getHealthScore(account, state = getState(account)) {
+    const attempts = state.successes + state.failures + state.blurredResults;
+    const failureRate = attempts ? state.failures / attempts : 0;
+    const blurredRate = attempts ? state.blurredResults / attempts : 0;
+
+    let score = 100 - failureRate * 40 - blurredRate * 30 - Math.min(state.consecutiveFailures, 3) * 10;
+    if (!fs.existsSync(account.cookieFile)) score -= 5;
+    return Math.max(Math.round(score), 0);
+}
+
+// ─── Selection ────────────────────────────────────────────
+// Accounts preferring the requested platform first, then the healthiest
+// tier (10-point buckets), pro before free, least recently used last
+function pickAccount(exclude, platform, plan) {
+    const now = Date.now();
+    const free = config.keywordToolAccounts
+        .filter((account) => !exclude.has(account.email) && (!plan || account.plan === plan))
+        .filter((account) => {
+            const state = getState(account);
+            return !state.inUse && isUsable(account, state, now);
+        });
+    if (free.length === 0) return null;
+
+    const prefers = (account) => (platform && account.platform === platform ? 1 : 0);
+    const tier = (account) => Math.floor(getHealthScore(account) / 10);
+    const isPro = (account) => (account.plan === 'pro' ? 1 : 0);
+    free.sort((a, b) =>
+        prefers(b) - prefers(a) ||
+        tier(b) - tier(a) ||
+        isPro(b) - isPro(a) ||
+        (getState(a).lastUsedAt || 0) - (getState(b).lastUsedAt || 0));
+
+    const account = free[0];
+    const state = getState(account);
+    state.inUse = true;
+    state.lastUsedAt = now;
+    state.usesToday = getUsesToday(state, now) + 1;
+    state.usesDate = new Date(now).toDateString();
+    return account;
+}
+
+// Accounts that could still be handed out once their current user is done
+function hasBusyCandidates(exclude, plan) {
+    const now = Date.now();
+    return config.keywordToolAccounts.some((account) => {
+        const state = getState(account);
+        return !exclude.has(account.email) && (!plan || account.plan === plan) && state.inUse && isUsable(account, state, now);
+    });
+}
+
+/**
+ * Lock the best available account.
+ * Waits while the remaining candidates are busy; resolves null when every
+ * account not in `exclude` is cooling down, over its daily quota or gone.
+ * @param {Set<string>} exclude - Emails already tried for this request
+ * @param {object} [options] - { platform } to favour accounts set up for it,
+ *   { plan } to only hand out accounts on that plan
+ */
+function acquireAccount(exclude = new Set(), options = {}) {
+    const { platform = null, plan = null } = options;
+    const account = pickAccount(exclude, platform, plan);
+    if (account || !hasBusyCandidates(exclude, plan)) return Promise.resolve(account);
+
+    return new Promise((resolve, reject) => {
+        const waiter = { exclude, platform, plan, resolve, reject };
+        waiter.timer = setTimeout(() => {
+            const index = waiters.indexOf(waiter);
+            if (index !== -1) waiters.splice(index, 1);
+            reject(new TimeoutError(`Timed out waiting for a free KeywordTool account after ${config.accounts.lockTimeout}ms`));
+        }, config.accounts.lockTimeout);
+        waiters.push(waiter);
+    });
+}
+
+// Hand freed accounts to queued callers, oldest first
+function wakeWaiters() {
+    for (let i = 0; i < waiters.length; i++) {
+        const waiter = waiters[i];
+        const account = pickAccount(waiter.exclude, waiter.platform, waiter.plan);
+        if (account || !hasBusyCandidates(waiter.exclude, waiter.plan)) {
+            waiters.splice(i--, 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(account);
+        }
+    }
+}
+
+// ─── Outcomes ─────────────────────────────────────────────
+/**
+ * Unlock an account and record how the attempt went.
+ * @param {object} account
+ * @param {'success'|'blurred'|'otp'|'login_failed'|'error'} outcome
+ * @param {Error} [error]
+ */
+function releaseAccount(account, outcome, error = null) {
+    const state = getState(account);
+    const now = Date.now();
+    state.inUse = false;
+
+    if (outcome === 'success') {
+        state.successes++;
+        state.consecutiveFailures = 0;
+        state.lastSuccessAt = now;
+        state.cooldownUntil = null;
+    } else if (outcome === 'blurred') {
+        // Logged in but the data came back blurred (free tier / quota): not a
+        // failure, but it will blur again, so leave it out of selection for a while
+        state.blurredResults++;
+        state.cooldownUntil = now + config.accounts.blurredCooldown;
+        console.log(`[Accounts] ${account.email} returned blurred data, skipped until ${new Date(state.cooldownUntil).toISOString()}`);
+    } else {
+        state.failures++;
+        state.consecutiveFailures++;
+        state.lastFailureAt = now;
+        state.lastError = error ? error.message : outcome;
+
+        if (outcome === 'otp') {
+            state.otpHits++;
+            state.cooldownUntil = now + config.accounts.otpCooldown;
+        } else {
+            // Back off harder with every failure in a row
+            const backoff = config.accounts.cooldownBase * 2 ** (state.consecutiveFailures - 1);
+            state.cooldownUntil = now + Math.min(backoff, config.accounts.cooldownMax);
+        }
+        console.log(`[Accounts] ${account.email} cooling down until ${new Date(state.cooldownUntil).toISOString()} (${outcome})`);
+    }
+
+    wakeWaiters();
+}
+
+/**
+ * Seconds until the first account leaves its cooldown or gets a fresh daily
+ * quota (midnight); null when an account is usable now or none are configured.
+ */
+function getRetryAfter() {
+    const now = Date.now();
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+
+    const waits = config.keywordToolAccounts.map((account) => {
+        const state = getState(account);
+        if (isUsable(account, state, now)) return 0;
+        const cooldownEnd = isCoolingDown(state, now) ? state.cooldownUntil : now;
+        return Math.max(cooldownEnd, isOverQuota(account, state, now) ? midnight.getTime() : now) - now;
+    });
+    if (waits.length === 0 || waits.includes(0)) return null;
+    return Math.ceil(Math.min(...waits) / 1000);
+}
+
+// ─── Status ───────────────────────────────────────────────
+// Proxy without credentials, e.g. "http://proxy.example.com:8080"
+function maskProxy(proxy) {
+    if (!proxy) return null;
+    try {
+        const url = new URL(proxy);
+        return `${url.protocol}//${url.host}`;
+    } catch {
+        return 'invalid';
+    }
+}
+
+// Safe for the API: never includes passwords or proxy credentials
+function getAccountsStatus() {
+    const now = Date.now();
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+    return config.keywordToolAccounts.map((account) => {
+        const state = getState(account);
+        const coolingDown = isCoolingDown(state, now);
+        return {
+            email: account.email,
+            status: state.inUse
+                ? 'in_use'
+                : coolingDown ? 'cooldown' : isOverQuota(account, state, now) ? 'quota_exhausted' : 'available',
+            healthScore: getHealthScore(account, state),
+            plan: account.plan,
+            platform: account.platform,
+            proxy: maskProxy(account.proxy),
+            dailyQuota: account.dailyQuota,
+            usesToday: getUsesToday(state, now),
+            hasCookies: fs.existsSync(account.cookieFile),
+            successes: state.successes,
+            failures: state.failures,
+            otpHits: state.otpHits,
+            blurredResults: state.blurredResults,
+            consecutiveFailures: state.consecutiveFailures,
+            lastUsedAt: iso(state.lastUsedAt),
+            lastSuccessAt: iso(state.lastSuccessAt),
+            lastFailureAt: iso(state.lastFailureAt),
+            lastError: state.lastError,
+            cooldownUntil: coolingDown ? iso(state.cooldownUntil) : null,
+        };
+    });
+}
+
+module.exports = {
+    acquireAccount,
+    releaseAccount,
+    getRetryAfter,
+    getAccountsStatus,
+};
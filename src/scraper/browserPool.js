@@ -0,0 +1,176 @@
+const { chromium } = require('playwright');
+const config = require('../config');
+const { TimeoutError } = require('../utils/errors');
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-blink-features=AutomationControlled',
+];
+
+// ─── Pool State ───────────────────────────────────────────
+// Each entry: { id, browser, uses, active, retired }
+const browsers = [];
+const waiters = [];
+let activeContexts = 0;
+let nextBrowserId = 1;
+let pendingLaunch = null;
+let closing = false;
+
+// ─── Concurrency Slots ────────────────────────────────────
+function acquireSlot() {
+    if (closing) return Promise.reject(new Error('Browser pool is shutting down'));
+
+    if (activeContexts < config.browserPool.maxConcurrency) {
+        activeContexts++;
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        waiter.timer = setTimeout(() => {
+            const index = waiters.indexOf(waiter);
+            if (index !== -1) waiters.splice(index, 1);
+            reject(new TimeoutError(`Timed out waiting for a free browser after ${config.browserPool.acquireTimeout}ms`));
+        }, config.browserPool.acquireTimeout);
+        waiters.push(waiter);
+    });
+}
+
+function releaseSlot() {
+    const waiter = waiters.shift();
+    if (waiter) {
+        // Hand the slot straight to the next caller
+        clearTimeout(waiter.timer);
+        waiter.resolve();
+        return;
+    }
+    activeContexts--;
+}
+
+// ─── Browser Lifecycle ────────────────────────────────────
+async function launchBrowser() {
+    const browser = await chromium.launch({
+        headless: config.headless,
+        args: LAUNCH_ARGS,
+    });
+
+    const entry = { id: nextBrowserId++, browser, uses: 0, active: 0, retired: false };
+    browser.on('disconnected', () => {
+        // Crashed or closed: never hand it out again
+        entry.retired = true;
+        removeBrowser(entry);
+    });
+
+    browsers.push(entry);
+    console.log(`[Pool] Launched browser #${entry.id} (${browsers.length} running)`);
+    return entry;
+}
+
+function removeBrowser(entry) {
+    const index = browsers.indexOf(entry);
+    if (index !== -1) browsers.splice(index, 1);
+}
+
+async function retireBrowser(entry) {
+    entry.retired = true;
+    if (entry.active > 0) return; // Closed once its last context is released
+
+    removeBrowser(entry);
+    await entry.browser.close().catch(() => {});
+    console.log(`[Pool] Closed browser #${entry.id} after ${entry.uses} uses`);
+}
+
+function findAvailableBrowser() {
+    // Reuse the warmest browser that still has room
+    return browsers
+        .filter((b) => !b.retired && b.browser.isConnected() && b.active < config.browserPool.contextsPerBrowser)
+        .sort((a, b) => b.uses - a.uses)[0];
+}
+
+async function getBrowser() {
+    let entry = findAvailableBrowser();
+    if (entry) return entry;
+
+    // Callers arriving together share one launch instead of starting several
+    if (pendingLaunch) {
+        await pendingLaunch.catch(() => {});
+        entry = findAvailableBrowser();
+        if (entry) return entry;
+    }
+
+    pendingLaunch = launchBrowser();
+    try {
+        return await pendingLaunch;
+    } finally {
+        pendingLaunch = null;
+    }
+}
+
+// ─── Public API ───────────────────────────────────────────
+/**
+ * Run `fn` with a fresh browser context from the shared pool.
+ * The context is always closed afterwards; the browser is kept warm
+ * and recycled after `maxUsesPerBrowser` contexts or a crash.
+ *
+ * @param {object} contextOptions - Options for browser.newContext()
+ * @param {Function} fn - async (context) => result
+ */
+async function withContext(contextOptions, fn) {
+    await acquireSlot();
+
+    let entry;
+    let context;
+    try {
+        entry = await getBrowser();
+        entry.active++;
+        entry.uses++;
+
+        try {
+            context = await entry.browser.newContext(contextOptions);
+        } catch (err) {
+            // A browser that can't open a context is treated as crashed
+            entry.retired = true;
+            throw err;
+        }
+
+        return await fn(context);
+    } finally {
+        if (context) await context.close().catch(() => {});
+        if (entry) {
+            entry.active--;
+            if (!entry.browser.isConnected()) entry.retired = true;
+            if (entry.uses >= config.browserPool.maxUsesPerBrowser) entry.retired = true;
+            if (entry.retired) await retireBrowser(entry);
+        }
+        releaseSlot();
+    }
+}
+
+/**
+ * Close every browser and reject queued callers (used on shutdown)
+ */
+async function closeAll() {
+    closing = true;
+    while (waiters.length > 0) {
+        const waiter = waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('Browser pool is shutting down'));
+    }
+
+    const entries = browsers.splice(0, browsers.length);
+    await Promise.all(entries.map((entry) => entry.browser.close().catch(() => {})));
+    console.log(`[Pool] Closed ${entries.length} browser(s)`);
+}
+
+function getPoolStats() {
+    return {
+        maxConcurrency: config.browserPool.maxConcurrency,
+        activeContexts,
+        queued: waiters.length,
+        browsers: browsers.map((b) => ({ id: b.id, uses: b.uses, active: b.active, retired: b.retired })),
+    };
+}
+
+module.exports = { withContext, closeAll, getPoolStats };
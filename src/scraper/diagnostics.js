@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { withContext } = require('./browserPool');
+const { nextProxy } = require('./proxyPool');
+const { createProfile, localizeProfile, toContextOptions, applyProfile } = require('./fingerprints');
+const { SELECTORS_VERSION, getAlternatives, resolveSelector, selectorFor, getSelectorHealth } = require('./selectors');
+const { getRegionContextOptions, dismissModals, detectPageState } = require('./tiktokScraper');
+const { PLATFORM_URLS } = require('./keywordToolScraper');
+const { delay } = require('../utils/helpers');
+
+const DIAGNOSTIC_SOURCES = ['tiktok', 'keywordtool'];
+const LOGIN_URL = 'https://keywordtool.io/user/login';
+
+// ─── Snapshots ────────────────────────────────────────────
+/**
+ * Screenshot + HTML of the page as it was when a step failed.
+ * Never throws: a page that can't be captured is reported instead.
+ */
+async function saveSnapshot(page, runId, source, stepName) {
+    const base = path.join(config.diagnostics.dir, `${runId}-${source}-${stepName.replace(/[^a-zA-Z0-9]+/g, '-')}`);
+    try {
+        fs.mkdirSync(config.diagnostics.dir, { recursive: true });
+        await page.screenshot({ path: `${base}.png`, fullPage: true });
+        fs.writeFileSync(`${base}.html`, await page.content());
+        console.log(`[Diagnostics] ${source}/${stepName} failed. Snapshot saved to ${base}.png`);
+        return { screenshot: `${base}.png`, html: `${base}.html` };
+    } catch (err) {
+        return { error: `Snapshot failed: ${err.message}` };
+    }
+}
+
+// ─── Steps ────────────────────────────────────────────────
+/**
+ * Runs canary steps in order and records each as
+ * { step, ok, ..., durationMs, snapshot? }. Once a `required` step fails
+ * the remaining steps are recorded as skipped.
+ */
+function createStepRunner(page, runId, source) {
+    const steps = [];
+    let abortedBy = null;
+
+    const run = async (name, check, { required = false } = {}) => {
+        if (abortedBy) {
+            steps.push({ step: name, ok: false, skipped: true, error: `Skipped: "${abortedBy}" failed` });
+            return false;
+        }
+
+        const started = Date.now();
+        let step;
+        try {
+            step = { step: name, ...(await check()) };
+        } catch (err) {
+            step = { step: name, ok: false, error: err.message };
+        }
+        step.durationMs = Date.now() - started;
+
+        if (!step.ok) {
+            step.snapshot = await saveSnapshot(page, runId, source, name);
+            if (required) abortedBy = name;
+        }
+        steps.push(step);
+        return step.ok;
+    };
+
+    // A registry selector: which alternative matched, if any
+    const selector = (key, { timeout = 0, required = false } = {}) => run(key, async () => {
+        const match = await resolveSelector(page, key, { timeout });
+        return {
+            ok: Boolean(match),
+            selector: key,
+            matched: match ? match.selector : null,
+            fallback: Boolean(match && match.index > 0),
+            alternatives: getAlternatives(key),
+            ...(match ? {} : { error: 'No alternative matched' }),
+        };
+    }, { required });
+
+    return { steps, run, selector };
+}
+
+// ─── Canaries ─────────────────────────────────────────────
+// TikTok search page, same region setup as a US scrape
+async function tiktokCanary(runId) {
+    const url = `https://www.tiktok.com/search?q=${encodeURIComponent(config.diagnostics.tiktokKeyword)}`;
+    const { geolocation, ...regionLocale } = getRegionContextOptions('US', 'en');
+    const profile = localizeProfile(createProfile(), regionLocale);
+    const contextOptions = { ...toContextOptions(profile), geolocation, permissions: ['geolocation'] };
+
+    const proxy = nextProxy();
+    if (proxy) contextOptions.proxy = proxy.playwright;
+
+    const steps = await withContext(contextOptions, async (context) => {
+        await applyProfile(context, profile);
+        const page = await context.newPage();
+        const runner = createStepRunner(page, runId, 'tiktok');
+
+        await runner.run('open', async () => {
+            const response = await page.goto(url, { waitUntil: 'networkidle', timeout: config.requestTimeout });
+            const status = response ? response.status() : null;
+            return status && status >= 400 ? { ok: false, url, status, error: `HTTP ${status}` } : { ok: true, url, status };
+        }, { required: true });
+
+        await runner.run('pageState', async () => {
+            await delay(4000, 6000);
+            await dismissModals(page);
+            const blocked = await detectPageState(page);
+            return blocked ? { ok: false, code: blocked.code, error: blocked.message } : { ok: true };
+        }, { required: true });
+
+        await runner.selector('tiktok.searchCard', { timeout: 15000 });
+        await runner.selector('tiktok.videoLink');
+        await runner.selector('tiktok.videoViews');
+        return runner.steps;
+    });
+
+    return { profile: profile.id, proxy: proxy ? proxy.label : 'direct', steps };
+}
+
+// KeywordTool as a guest: no account is locked, logged in or put on cooldown
+async function keywordToolCanary(runId) {
+    const url = PLATFORM_URLS.google;
+    const profile = createProfile();
+    const contextOptions = toContextOptions(profile);
+
+    const proxy = nextProxy();
+    if (proxy) contextOptions.proxy = proxy.playwright;
+
+    const steps = await withContext(contextOptions, async (context) => {
+        await applyProfile(context, profile);
+        const page = await context.newPage();
+        const runner = createStepRunner(page, runId, 'keywordtool');
+
+        const open = (target) => async () => {
+            const response = await page.goto(target, { waitUntil: 'domcontentloaded', timeout: config.requestTimeout });
+            const status = response ? response.status() : null;
+            await delay(2000, 3000);
+            return status && status >= 400 ? { ok: false, url: target, status, error: `HTTP ${status}` } : { ok: true, url: target, status };
+        };
+
+        // Login form (nothing is submitted)
+        await runner.run('openLogin', open(LOGIN_URL));
+        await runner.selector('keywordTool.loginEmail');
+        await runner.selector('keywordTool.loginPassword');
+        await runner.selector('keywordTool.loginSubmit');
+
+        await runner.run('open', open(url), { required: true });
+        await runner.selector('keywordTool.loginLink');
+        await runner.selector('keywordTool.dropdown');
+        await runner.selector('keywordTool.dropdownControl');
+
+        // Open the location dropdown for its search input and options, then close it again
+        await runner.run('openDropdown', async () => {
+            await page.locator(await selectorFor(page, 'keywordTool.dropdownControl')).first().click();
+            await delay(600, 1000);
+            return { ok: true };
+        });
+        await runner.selector('keywordTool.dropdownInput');
+        await runner.selector('keywordTool.dropdownOption');
+        await page.keyboard.press('Escape').catch(() => {});
+
+        await runner.selector('keywordTool.keywordInput', { required: true });
+        await runner.selector('keywordTool.searchButton', { required: true });
+
+        await runner.run('search', async () => {
+            const keywordInput = page.locator(await selectorFor(page, 'keywordTool.keywordInput')).first();
+            await keywordInput.fill(config.diagnostics.keywordToolKeyword);
+            await delay(500, 800);
+            await page.locator(await selectorFor(page, 'keywordTool.searchButton')).first().click();
+            await page.waitForURL((current) => current.toString().includes('/search/'), { timeout: 60000 });
+            return { ok: true, url: page.url() };
+        }, { required: true });
+
+        await runner.selector('keywordTool.resultRow', { timeout: 30000 });
+        await runner.selector('keywordTool.headerCell');
+        await runner.selector('keywordTool.tabLink');
+        await runner.selector('keywordTool.activeTab');
+        return runner.steps;
+    });
+
+    return { profile: profile.id, proxy: proxy ? proxy.label : 'direct', steps };
+}
+
+const CANARIES = {
+    tiktok: tiktokCanary,
+    keywordtool: keywordToolCanary,
+};
+
+// ─── Report ───────────────────────────────────────────────
+/**
+ * Run a canary scrape per source (one at a time) and report every step,
+ * which registry selectors matched (and through which alternative) and
+ * which failed. Failed steps leave a screenshot + HTML in config.diagnostics.dir.
+ * @param {Array<string>} sources - Subset of DIAGNOSTIC_SOURCES
+ */
+async function runDiagnostics(sources = DIAGNOSTIC_SOURCES) {
+    const started = Date.now();
+    const ranAt = new Date(started).toISOString();
+    const runId = ranAt.replace(/[:.]/g, '-');
+
+    const results = {};
+    for (const source of sources) {
+        const sourceStarted = Date.now();
+        console.log(`[Diagnostics] Running ${source} canary...`);
+        try {
+            const { steps, ...rest } = await CANARIES[source](runId);
+            results[source] = {
+                ok: steps.every((step) => step.ok),
+                ...rest,
+                durationMs: Date.now() - sourceStarted,
+                failedSteps: steps.filter((step) => !step.ok && !step.skipped).map((step) => step.step),
+                steps,
+            };
+        } catch (err) {
+            // No browser, no free proxy, pool timeout...: the canary never reached the site
+            console.log(`[Diagnostics] ${source} canary could not run: ${err.message}`);
+            results[source] = { ok: false, error: err.message, durationMs: Date.now() - sourceStarted, failedSteps: [], steps: [] };
+        }
+    }
+
+    const selectorSteps = Object.values(results)
+        .flatMap((result) => result.steps)
+        .filter((step) => step.selector && !step.skipped);
+
+    return {
+        selectorsVersion: SELECTORS_VERSION,
+        ranAt,
+        durationMs: Date.now() - started,
+        healthy: Object.values(results).every((result) => result.ok),
+        sources: results,
+        selectors: {
+            matched: selectorSteps.filter((step) => step.ok).map((step) => step.selector),
+            fallback: selectorSteps.filter((step) => step.fallback).map((step) => ({ selector: step.selector, matched: step.matched })),
+            failed: selectorSteps.filter((step) => !step.ok).map((step) => step.selector),
+        },
+        // Every registry lookup since startup, scrapes included
+        selectorHealth: getSelectorHealth(),
+    };
+}
+
+module.exports = { runDiagnostics, DIAGNOSTIC_SOURCES };
@@ -0,0 +1,282 @@
+// ─── Fingerprint Profiles ─────────────────────────────────
+// Every scraper runs Playwright Chromium, so every profile is a desktop Chrome
+// whose user agent, platform, client hints, screen and WebGL agree with each other.
+// Keep CHROME_MAJOR close to the Chromium bundled with the installed Playwright.
+const CHROME_MAJOR = '145';
+const CHROME_FULL = `${CHROME_MAJOR}.0.0.0`;
+
+const BRANDS = [
+    { brand: 'Not:A-Brand', version: '99' },
+    { brand: 'Google Chrome', version: CHROME_MAJOR },
+    { brand: 'Chromium', version: CHROME_MAJOR },
+];
+
+const OS = {
+    windows: {
+        userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_FULL} Safari/537.36`,
+        platform: 'Win32',
+        clientHints: { platform: 'Windows', platformVersion: '15.0.0', architecture: 'x86', bitness: '64' },
+    },
+    mac: {
+        userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_FULL} Safari/537.36`,
+        platform: 'MacIntel',
+        clientHints: { platform: 'macOS', platformVersion: '14.5.0', architecture: 'arm', bitness: '64' },
+    },
+    linux: {
+        userAgent: `Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_FULL} Safari/537.36`,
+        platform: 'Linux x86_64',
+        clientHints: { platform: 'Linux', platformVersion: '6.5.0', architecture: 'x86', bitness: '64' },
+    },
+};
+
+// Devices: screen and GPU per OS; the viewport is the screen minus browser chrome
+const DEVICES = [
+    {
+        id: 'win-nvidia-1080p',
+        os: 'windows',
+        screen: { width: 1920, height: 1080 },
+        viewport: { width: 1920, height: 953 },
+        deviceScaleFactor: 1,
+        hardwareConcurrency: 12,
+        deviceMemory: 8,
+        webgl: {
+            vendor: 'Google Inc. (NVIDIA)',
+            renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 (0x00002504) Direct3D11 vs_5_0 ps_5_0, D3D11)',
+        },
+    },
+    {
+        id: 'win-intel-laptop',
+        os: 'windows',
+        screen: { width: 1536, height: 864 },
+        viewport: { width: 1536, height: 730 },
+        deviceScaleFactor: 1.25,
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        webgl: {
+            vendor: 'Google Inc. (Intel)',
+            renderer: 'ANGLE (Intel, Intel(R) UHD Graphics 620 (0x00005917) Direct3D11 vs_5_0 ps_5_0, D3D11)',
+        },
+    },
+    {
+        id: 'win-amd-1440p',
+        os: 'windows',
+        screen: { width: 2560, height: 1440 },
+        viewport: { width: 2560, height: 1305 },
+        deviceScaleFactor: 1,
+        hardwareConcurrency: 16,
+        deviceMemory: 8,
+        webgl: {
+            vendor: 'Google Inc. (AMD)',
+            renderer: 'ANGLE (AMD, AMD Radeon RX 6700 XT (0x000073DF) Direct3D11 vs_5_0 ps_5_0, D3D11)',
+        },
+    },
+    {
+        id: 'mac-m1-air',
+        os: 'mac',
+        screen: { width: 1440, height: 900 },
+        viewport: { width: 1440, height: 789 },
+        deviceScaleFactor: 2,
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        webgl: {
+            vendor: 'Google Inc. (Apple)',
+            renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)',
+        },
+    },
+    {
+        id: 'mac-m2-pro',
+        os: 'mac',
+        screen: { width: 1728, height: 1117 },
+        viewport: { width: 1728, height: 993 },
+        deviceScaleFactor: 2,
+        hardwareConcurrency: 10,
+        deviceMemory: 8,
+        webgl: {
+            vendor: 'Google Inc. (Apple)',
+            renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2 Pro, Unspecified Version)',
+        },
+    },
+    {
+        id: 'linux-intel-1080p',
+        os: 'linux',
+        screen: { width: 1920, height: 1080 },
+        viewport: { width: 1920, height: 975 },
+        deviceScaleFactor: 1,
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        webgl: {
+            vendor: 'Google Inc. (Intel)',
+            renderer: 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 630 (CFL GT2), OpenGL 4.6)',
+        },
+    },
+];
+
+const DEFAULT_LOCALE = { locale: 'en-US', languages: ['en-US', 'en'], timezoneId: 'America/New_York' };
+
+/**
+ * Full profile for a device id (random when omitted or unknown).
+ * Locale fields default to en-US / New York; see localizeProfile.
+ */
+function createProfile(deviceId = null) {
+    const device = DEVICES.find((d) => d.id === deviceId)
+        || DEVICES[Math.floor(Math.random() * DEVICES.length)];
+    const os = OS[device.os];
+
+    return {
+        id: device.id,
+        userAgent: os.userAgent,
+        platform: os.platform,
+        screen: device.screen,
+        viewport: device.viewport,
+        deviceScaleFactor: device.deviceScaleFactor,
+        hardwareConcurrency: device.hardwareConcurrency,
+        deviceMemory: device.deviceMemory,
+        webgl: device.webgl,
+        clientHints: { brands: BRANDS, mobile: false, fullVersion: CHROME_FULL, ...os.clientHints },
+        ...DEFAULT_LOCALE,
+    };
+}
+
+/**
+ * Same device in another locale, e.g. the TikTok region being scraped.
+ * @param {object} profile
+ * @param {object} locale - { locale, languages, timezoneId } (any subset)
+ */
+function localizeProfile(profile, { locale, languages, timezoneId } = {}) {
+    return {
+        ...profile,
+        ...(locale ? { locale } : {}),
+        ...(languages ? { languages } : {}),
+        ...(timezoneId ? { timezoneId } : {}),
+    };
+}
+
+/**
+ * A profile saved with a KeywordTool session; sessions saved before profiles
+ * existed only have a user agent, so pick a device for the same OS.
+ */
+function restoreProfile(saved) {
+    if (saved && saved.profile && saved.profile.id) {
+        // Re-read the device so saved profiles pick up fixes to the template
+        return localizeProfile(createProfile(saved.profile.id), saved.profile);
+    }
+    if (saved && saved.userAgent) {
+        const ua = saved.userAgent;
+        const osName = /Windows/.test(ua) ? 'windows' : /Mac OS X/.test(ua) ? 'mac' : /Linux/.test(ua) ? 'linux' : null;
+        const candidates = DEVICES.filter((d) => d.os === osName);
+        if (candidates.length > 0) {
+            return createProfile(candidates[Math.floor(Math.random() * candidates.length)].id);
+        }
+    }
+    return createProfile();
+}
+
+// ─── Browser Context ──────────────────────────────────────
+function getSecChUa(brands) {
+    return brands.map(({ brand, version }) => `"${brand}";v="${version}"`).join(', ');
+}
+
+/**
+ * Playwright newContext() options for a profile
+ */
+function toContextOptions(profile) {
+    const [primary, ...rest] = profile.languages;
+    const acceptLanguage = [primary, ...rest.map((lang, i) => `${lang};q=${(0.9 - i * 0.1).toFixed(1)}`)].join(',');
+
+    return {
+        userAgent: profile.userAgent,
+        viewport: profile.viewport,
+        screen: profile.screen,
+        deviceScaleFactor: profile.deviceScaleFactor,
+        locale: profile.locale,
+        timezoneId: profile.timezoneId,
+        extraHTTPHeaders: {
+            'Accept-Language': acceptLanguage,
+            'sec-ch-ua': getSecChUa(profile.clientHints.brands),
+            'sec-ch-ua-mobile': '?0',
+            'sec-ch-ua-platform': `"${profile.clientHints.platform}"`,
+        },
+    };
+}
+
+/**
+ * Runs in the page before any site script (see applyProfile)
+ */
+function stealthScript(profile) {
+    const define = (target, prop, value) => {
+        Object.defineProperty(target, prop, { get: () => value, configurable: true });
+    };
+
+    define(Navigator.prototype, 'webdriver', false);
+    define(Navigator.prototype, 'platform', profile.platform);
+    define(Navigator.prototype, 'languages', Object.freeze([...profile.languages]));
+    define(Navigator.prototype, 'language', profile.languages[0]);
+    define(Navigator.prototype, 'hardwareConcurrency', profile.hardwareConcurrency);
+    define(Navigator.prototype, 'deviceMemory', profile.deviceMemory);
+
+    // The PDF viewer entries every desktop Chrome reports
+    const pluginNames = ['PDF Viewer', 'Chrome PDF Viewer', 'Chromium PDF Viewer', 'Microsoft Edge PDF Viewer', 'WebKit built-in PDF'];
+    const plugins = pluginNames.map((name) => ({
+        name,
+        filename: 'internal-pdf-viewer',
+        description: 'Portable Document Format',
+        length: 1,
+    }));
+    plugins.item = (index) => plugins[index] || null;
+    plugins.namedItem = (name) => plugins.find((plugin) => plugin.name === name) || null;
+    plugins.refresh = () => {};
+    define(Navigator.prototype, 'plugins', plugins);
+
+    // navigator.userAgentData must agree with the sec-ch-ua headers
+    const hints = profile.clientHints;
+    const lowEntropy = { brands: hints.brands, mobile: hints.mobile, platform: hints.platform };
+    define(Navigator.prototype, 'userAgentData', {
+        ...lowEntropy,
+        getHighEntropyValues: async (keys) => {
+            const all = {
+                ...lowEntropy,
+                architecture: hints.architecture,
+                bitness: hints.bitness,
+                model: '',
+                platformVersion: hints.platformVersion,
+                uaFullVersion: hints.fullVersion,
+                fullVersionList: hints.brands.map(({ brand, version }) => ({
+                    brand,
+                    version: brand === 'Not:A-Brand' ? `${version}.0.0.0` : hints.fullVersion,
+                })),
+            };
+            return Object.fromEntries(Object.entries(all).filter(([key]) => key in lowEntropy || keys.includes(key)));
+        },
+        toJSON: () => lowEntropy,
+    });
+
+    // UNMASKED_VENDOR_WEBGL / UNMASKED_RENDERER_WEBGL
+    const patchWebGl = (proto) => {
+        const getParameter = proto.getParameter;
+        proto.getParameter = function (param) {
+            if (param === 37445) return profile.webgl.vendor;
+            if (param === 37446) return profile.webgl.renderer;
+            return getParameter.call(this, param);
+        };
+    };
+    if (window.WebGLRenderingContext) patchWebGl(WebGLRenderingContext.prototype);
+    if (window.WebGL2RenderingContext) patchWebGl(WebGL2RenderingContext.prototype);
+
+    window.chrome = { runtime: {} };
+}
+
+/**
+ * Apply a profile to every page of a context opened with toContextOptions(profile),
+ * including pages opened later (e.g. video detail pages)
+ */
+async function applyProfile(context, profile) {
+    await context.addInitScript(stealthScript, profile);
+}
+
+module.exports = {
+    createProfile,
+    localizeProfile,
+    restoreProfile,
+    toContextOptions,
+    applyProfile,
+};
@@ -0,0 +1,178 @@
+// ─── Value Parsers ────────────────────────────────────────
+/**
+ * "+25%", "-3.5 %", "1,200%" -> number; "-" or blurred cells -> null
+ */
+function parsePercent(text) {
+    if (!text) return null;
+    const match = String(text).replace(/,/g, '').match(/([+-]?\d+(?:\.\d+)?)\s*%/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Plain number out of a cell: "1,234" -> 1234, "$0.45" -> 0.45, "Rp 1.200" -> 1200
+ * A dot followed by exactly three digits is read as a thousands separator.
+ */
+function parseNumber(text) {
+    if (!text) return null;
+    let clean = String(text).replace(/[^\d.,-]/g, '');
+    if (/^\d{1,3}(\.\d{3})+$/.test(clean)) clean = clean.replace(/\./g, '');
+    clean = clean.replace(/,/g, '');
+    if (!clean || isNaN(parseFloat(clean))) return null;
+    return parseFloat(clean);
+}
+
+/**
+ * Minimal CSV reader for KeywordTool exports (quoted fields, "" escapes, BOM)
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some((value) => value.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+// ─── Column Mapping ───────────────────────────────────────
+const MONTH_HEADER = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s*'?\d{2,4}$/i;
+
+// Positions used before headers were read; still the layout of the free table
+const DEFAULT_COLUMNS = { keyword: 1, volume: 2, trend: 3, cpc: -1, competition: -1, months: [] };
+
+/**
+ * Find each column by its header text, so extra Pro columns
+ * (CPC, competition, monthly volumes) don't shift the others.
+ */
+function mapColumns(headers) {
+    if (!headers || headers.length === 0) return DEFAULT_COLUMNS;
+
+    const columns = { keyword: -1, volume: -1, trend: -1, cpc: -1, competition: -1, months: [] };
+    headers.forEach((raw, index) => {
+        const header = String(raw || '').replace(/\s+/g, ' ').trim();
+        const lower = header.toLowerCase();
+        if (MONTH_HEADER.test(header)) columns.months.push({ index, month: header });
+        else if (columns.keyword === -1 && /keyword/.test(lower)) columns.keyword = index;
+        else if (columns.volume === -1 && /volume/.test(lower)) columns.volume = index;
+        else if (columns.trend === -1 && /trend/.test(lower)) columns.trend = index;
+        else if (columns.cpc === -1 && /cpc|cost per click/.test(lower)) columns.cpc = index;
+        else if (columns.competition === -1 && /competition/.test(lower)) columns.competition = index;
+    });
+
+    // Headers we don't recognise: keep the old fixed layout
+    if (columns.keyword === -1 || columns.volume === -1) return DEFAULT_COLUMNS;
+    return columns;
+}
+
+/**
+ * Build keyword entries from the raw table read in the page.
+ * @param {string[]} headers - <th> texts
+ * @param {Array<Array<{ text: string, blurred: boolean }>>} rows - cells per row
+ */
+function parseKeywordRows(headers, rows) {
+    const columns = mapColumns(headers);
+    const cellAt = (cells, index) => (index >= 0 && cells[index]) || null;
+    const textOf = (cell) => (cell && !cell.blurred ? cell.text.trim() : '-');
+
+    const keywords = [];
+    rows.forEach((cells) => {
+        const keyword = cellAt(cells, columns.keyword) ? cellAt(cells, columns.keyword).text.trim() : '';
+        if (!keyword) return;
+
+        const volCell = cellAt(cells, columns.volume);
+        const volumeText = textOf(volCell);
+        const trendText = textOf(cellAt(cells, columns.trend));
+        const cpc = parseNumber(textOf(cellAt(cells, columns.cpc)));
+        const competition = parseNumber(textOf(cellAt(cells, columns.competition)));
+
+        const monthlyVolumes = columns.months
+            .map(({ index, month }) => ({ month, searchVolume: parseNumber(textOf(cellAt(cells, index))) }))
+            .filter((entry) => entry.searchVolume !== null);
+
+        keywords.push({
+            keyword,
+            searchVolume: volumeText === '-' ? 0 : Math.round(parseNumber(volumeText) || 0),
+            searchVolumeFormatted: volumeText,
+            trend: trendText || '-',
+            trendPercent: parsePercent(trendText),
+            cpc,
+            competition,
+            monthlyVolumes,
+            isDataAvailable: Boolean(volCell) && !volCell.blurred,
+        });
+    });
+
+    return keywords;
+}
+
+// ─── Filters & Sorting ────────────────────────────────────
+// sortBy -> comparator; numbers high-to-low except competition (easier first)
+const SORT_MODES = {
+    volume: (a, b) => b.searchVolume - a.searchVolume,
+    trend: (a, b) => (b.trendPercent ?? -Infinity) - (a.trendPercent ?? -Infinity),
+    cpc: (a, b) => (b.cpc ?? -Infinity) - (a.cpc ?? -Infinity),
+    competition: (a, b) => (a.competition ?? Infinity) - (b.competition ?? Infinity),
+    keyword: (a, b) => a.keyword.localeCompare(b.keyword),
+};
+
+/**
+ * Apply the volume/trend/competition filters and optional sort.
+ * Keywords without a trend or competition value fail those filters.
+ */
+function filterKeywords(keywords, filters = {}) {
+    const {
+        minVolume = 0,
+        maxVolume = Infinity,
+        minTrend = null,
+        maxCompetition = null,
+        sortBy = null,
+    } = filters;
+
+    const filtered = keywords.filter((kw) => {
+        if (kw.searchVolume < minVolume || kw.searchVolume > maxVolume) return false;
+        if (minTrend !== null && (kw.trendPercent === null || kw.trendPercent < minTrend)) return false;
+        if (maxCompetition !== null && (kw.competition === null || kw.competition > maxCompetition)) return false;
+        return true;
+    });
+
+    return sortBy ? filtered.sort(SORT_MODES[sortBy]) : filtered;
+}
+
+module.exports = {
+    parsePercent,
+    parseNumber,
+    parseCsv,
+    mapColumns,
+    parseKeywordRows,
+    filterKeywords,
+    SORT_MODES,
+};
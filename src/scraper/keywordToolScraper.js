@@ -1,7 +1,21 @@
-const { chromium } = require('playwright');
 const fs = require('fs');
 const config = require('../config');
+const { withContext } = require('./browserPool');
+const { acquireAccount, releaseAccount, getRetryAfter } = require('./accountManager');
+const { getAccountProxy, trackProxy } = require('./proxyPool');
+const { restoreProfile, localizeProfile, toContextOptions, applyProfile } = require('./fingerprints');
+const { getAlternatives, selectorFor } = require('./selectors');
+const {
+    AppError,
+    ValidationError,
+    AuthFailedError,
+    OtpRequiredError,
+    NoAccountsError,
+    UpstreamError,
+    UpstreamChangedError,
+} = require('../utils/errors');
 const { delay } = require('../utils/helpers');
+const { parsePercent, parseCsv, parseKeywordRows, filterKeywords, SORT_MODES } = require('./keywordToolParser');
 
 // ─── Platform URL Map ─────────────────────────────────────
 const PLATFORM_URLS = {
@@ -19,6 +33,60 @@ const TAB_MAP = {
     prepositions: 'Prepositions',
     related: 'Related Keywords',
 };
+const TABS = Object.keys(TAB_MAP);
+
+/**
+ * Turn the tab option into a list of tab keys.
+ * Accepts one tab, "all", a comma-separated string or an array.
+ */
+function resolveTabs(tab = 'suggestions') {
+    const requested = Array.isArray(tab) ? tab : String(tab).split(',');
+    const tabs = requested.map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+    if (tabs.includes('all')) return [...TABS];
+
+    const invalid = tabs.filter((t) => !TAB_MAP[t]);
+    if (invalid.length > 0) {
+        throw new ValidationError(`Invalid tab: "${invalid.join(', ')}". Valid: ${TABS.join(', ')}, all`);
+    }
+    return tabs.length > 0 ? [...new Set(tabs)] : ['suggestions'];
+}
+
+// ─── Supported Languages & Locations ──────────────────────
+// Codes accepted by the API -> label shown in KeywordTool's dropdowns
+const LANGUAGES = {
+    id: 'Indonesian',
+    en: 'English',
+    ms: 'Malay',
+    th: 'Thai',
+    vi: 'Vietnamese',
+    tl: 'Tagalog',
+};
+
+const COUNTRIES = {
+    global: 'Global',
+    ID: 'Indonesia',
+    US: 'United States',
+    GB: 'United Kingdom',
+    MY: 'Malaysia',
+    SG: 'Singapore',
+    TH: 'Thailand',
+    VN: 'Vietnam',
+    PH: 'Philippines',
+};
+
+/**
+ * Browser locale + Accept-Language for a language/country pair
+ */
+const DEFAULT_REGIONS = { id: 'ID', en: 'US', ms: 'MY', th: 'TH', vi: 'VN', tl: 'PH' };
+
+function getBrowserLocale(language, country) {
+    const region = country && country !== 'global' ? country : DEFAULT_REGIONS[language];
+    const locale = `${language}-${region}`;
+    return {
+        locale,
+        languages: language === 'en' ? [locale, 'en'] : [locale, language, 'en'],
+    };
+}
 
 // ─── Cookie Management ────────────────────────────────────
 function loadCookies(cookieFile) {
@@ -33,11 +101,12 @@ function loadCookies(cookieFile) {
     return null;
 }
 
-function saveCookies(cookieFile, cookies, userAgent) {
+// The fingerprint profile is saved with the session so the account keeps one device
+function saveCookies(cookieFile, cookies, profile) {
     try {
-        const data = { cookies, userAgent };
+        const data = { cookies, userAgent: profile.userAgent, profile };
         fs.writeFileSync(cookieFile, JSON.stringify(data, null, 2));
-        console.log('[KT] Cookies & User-Agent saved');
+        console.log('[KT] Cookies & profile saved');
     } catch (err) {
         console.log('[KT] Failed to save cookies:', err.message);
     }
@@ -53,11 +122,11 @@ function deleteCookies(cookieFile) {
 }
 
 // ─── Login Flow ───────────────────────────────────────────
-async function loginIfNeeded(context, page, account) {
+async function loginIfNeeded(context, page, account, profile) {
     // Check if "Login" link is visible in the header (top right)
     // The user pointed out "Secondary Menu > Auto-login" might show "Account" text in footer/body even if not logged in.
     // So we trust the "Login" link visibility more.
-    const loginLink = page.locator('a[href="/user/login"]').first();
+    const loginLink = page.locator(getAlternatives('keywordTool.loginLink').join(', ')).first();
     const isLoginVisible = await loginLink.isVisible().catch(() => false);
 
     if (!isLoginVisible) {
@@ -80,12 +149,12 @@ async function loginIfNeeded(context, page, account) {
     }
 
     try {
-        await page.fill('input#email', account.email);
+        await page.fill(await selectorFor(page, 'keywordTool.loginEmail'), account.email);
         await delay(500, 1000);
-        await page.fill('input#password', account.password);
+        await page.fill(await selectorFor(page, 'keywordTool.loginPassword'), account.password);
         await delay(800, 1500);
 
-        const loginBtn = page.locator('button[type="submit"]');
+        const loginBtn = page.locator(await selectorFor(page, 'keywordTool.loginSubmit')).first();
         await loginBtn.click();
         console.log('[KT] Login form submitted');
     } catch (fillError) {
@@ -127,7 +196,9 @@ async function loginIfNeeded(context, page, account) {
         bodyLower.includes('rate limit') ||
         bodyLower.includes('captcha')
     ) {
-        throw new Error(`OTP/verifikasi diperlukan untuk ${account.email}`);
+        throw new OtpRequiredError(`OTP/verifikasi diperlukan untuk ${account.email}`, {
+            retryAfter: Math.round(config.accounts.otpCooldown / 1000),
+        });
     }
 
     // If still on login page
@@ -138,56 +209,58 @@ async function loginIfNeeded(context, page, account) {
             .catch(() => '');
 
         const errDetail = errorMsg ? `: ${errorMsg.trim()}` : '';
-        throw new Error(`Login gagal untuk ${account.email}${errDetail}`);
+        throw new AuthFailedError(`Login gagal untuk ${account.email}${errDetail}`);
     }
 
-    // Save cookies with User-Agent
+    // Save cookies with the fingerprint profile
     const cookies = await context.cookies();
-    const currentUserAgent = await page.evaluate(() => navigator.userAgent);
-    saveCookies(account.cookieFile, cookies, currentUserAgent);
+    saveCookies(account.cookieFile, cookies, profile);
 
     console.log(`[KT] Login berhasil: ${account.email}`);
     return true;
 }
 
-// ─── Set Language to Indonesian ───────────────────────────
-async function setLanguageIndonesian(page) {
+// ─── Select Location / Language ───────────────────────────
+// KeywordTool renders both dropdowns with Tom Select: location first, language last
+async function selectDropdownOption(page, which, label) {
+    const kind = which === 'first' ? 'Location' : 'Language';
     try {
-        const langWrapper = page.locator('.ts-wrapper').last();
-        const tsControl = langWrapper.locator('.ts-control');
-        const selectedLang = await tsControl.textContent({ timeout: 3000 });
+        const wrappers = page.locator(await selectorFor(page, 'keywordTool.dropdown'));
+        const wrapper = which === 'first' ? wrappers.first() : wrappers.last();
+        const tsControl = wrapper.locator(await selectorFor(page, 'keywordTool.dropdownControl')).first();
+        const selected = await tsControl.textContent({ timeout: 3000 });
 
-        console.log(`[KT] Current language: "${selectedLang.trim()}"`);
+        console.log(`[KT] Current ${kind.toLowerCase()}: "${selected.trim()}"`);
 
-        if (selectedLang && selectedLang.trim().startsWith('Indonesian')) {
-            console.log('[KT] Language already Indonesian');
+        if (selected && selected.trim().startsWith(label)) {
+            console.log(`[KT] ${kind} already ${label}`);
             return;
         }
 
-        console.log('[KT] Setting language to Indonesian...');
+        console.log(`[KT] Setting ${kind.toLowerCase()} to ${label}...`);
         await tsControl.click();
         await delay(600, 1000);
 
-        const tsInput = langWrapper.locator('input.dropdown-input');
-        await tsInput.fill('Indonesian');
+        const tsInput = wrapper.locator(await selectorFor(page, 'keywordTool.dropdownInput')).first();
+        await tsInput.fill(label);
         await delay(800, 1200);
 
-        const option = page.locator('.ts-dropdown .option').filter({ hasText: 'Indonesian' }).first();
+        const option = page.locator(await selectorFor(page, 'keywordTool.dropdownOption')).filter({ hasText: label }).first();
         const optVisible = await option.isVisible({ timeout: 3000 }).catch(() => false);
 
         if (optVisible) {
             await option.click();
             await delay(500, 800);
-            console.log('[KT] Language set to Indonesian');
+            console.log(`[KT] ${kind} set to ${label}`);
         } else {
             await page.keyboard.press('Enter');
             await delay(500, 800);
-            console.log('[KT] Language set via Enter');
+            console.log(`[KT] ${kind} set via Enter`);
         }
     } catch (err) {
-        console.log('[KT] Language error, trying keyboard:', err.message);
+        console.log(`[KT] ${kind} error, trying keyboard:`, err.message);
         try {
-            await page.keyboard.type('Indonesian');
+            await page.keyboard.type(label);
             await delay(1000, 1500);
             await page.keyboard.press('Enter');
             await delay(500, 800);
@@ -195,11 +268,147 @@ async function setLanguageIndonesian(page) {
     }
 }
 
+async function setLocation(page, country) {
+    await selectDropdownOption(page, 'first', COUNTRIES[country]);
+}
+
+async function setLanguage(page, language) {
+    await selectDropdownOption(page, 'last', LANGUAGES[language]);
+}
+
 // ─── Extract Keywords from Results Table ──────────────────
+const NEXT_PAGE_SELECTOR = [
+    '.pagination li:not(.disabled) a[aria-label*="Next" i]',
+    '.pagination li:not(.disabled) a:has-text("›")',
+    '.pagination li:not(.disabled) a:has-text("Next")',
+].join(', ');
+const LOAD_MORE_SELECTOR = 'button:has-text("Load More"), button:has-text("Show More"), a:has-text("Load More")';
+const EXPORT_SELECTOR = 'button:has-text("Export"), a:has-text("Export"), button:has-text("Download"), a:has-text("Download")';
+
+// Raw header + cell text; parsing happens in keywordToolParser
+async function readTable(page) {
+    const selectors = {
+        headerSelector: await selectorFor(page, 'keywordTool.headerCell'),
+        rowSelector: await selectorFor(page, 'keywordTool.resultRow'),
+    };
+    return page.evaluate(({ headerSelector, rowSelector }) => {
+        const isBlurred = (cell) => (
+            cell.classList.contains('blur') ||
+            cell.innerHTML.includes('blur') ||
+            cell.querySelector('.blur') !== null
+        );
+
+        const headers = Array.from(document.querySelectorAll(headerSelector)).map((th) => th.textContent.trim());
+        const rows = [];
+        document.querySelectorAll(rowSelector).forEach((row) => {
+            if (row.querySelector('td[colspan]')) return;
+            const cells = row.querySelectorAll('td');
+            if (cells.length < 3) return;
+            rows.push(Array.from(cells).map((cell) => ({ text: cell.textContent.trim(), blurred: isBlurred(cell) })));
+        });
+        return { headers, rows };
+    }, selectors);
+}
+
+/**
+ * Keyword count KeywordTool shows on the active tab, e.g. "Keyword Suggestions 736".
+ * null when the page doesn't show one.
+ */
+async function readReportedTotal(page) {
+    const text = await page.locator(await selectorFor(page, 'keywordTool.activeTab')).first().textContent({ timeout: 2000 }).catch(() => '');
+    const match = (text || '').replace(/,/g, '').match(/(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Try KeywordTool's CSV export (Pro accounts). Returns keyword entries or null.
+ */
+async function exportKeywords(page) {
+    if (!config.keywordTool.useExport) return null;
+
+    const exportBtn = page.locator(EXPORT_SELECTOR).first();
+    if (!(await exportBtn.isVisible({ timeout: 2000 }).catch(() => false))) return null;
+
+    try {
+        const downloadPromise = page.waitForEvent('download', { timeout: 15000 });
+        await exportBtn.click();
+
+        // Some layouts open a format menu first
+        const csvOption = page.locator('a:has-text("CSV"), button:has-text("CSV")').first();
+        if (await csvOption.isVisible({ timeout: 2000 }).catch(() => false)) await csvOption.click();
+
+        const download = await downloadPromise;
+        const fileName = download.suggestedFilename();
+        if (!/\.csv$/i.test(fileName)) {
+            console.log(`[KT] Export gave ${fileName}, only CSV is supported`);
+            await download.delete().catch(() => {});
+            return null;
+        }
+
+        const text = fs.readFileSync(await download.path(), 'utf-8');
+        await download.delete().catch(() => {});
+
+        const [headers = [], ...rows] = parseCsv(text);
+        const keywords = parseKeywordRows(headers, rows.map((cells) => cells.map((cell) => ({ text: cell, blurred: false }))));
+        console.log(`[KT] Export: ${keywords.length} keywords from ${fileName}`);
+        return keywords.length > 0 ? keywords : null;
+    } catch (err) {
+        // Free accounts get an upgrade prompt instead of a file
+        console.log(`[KT] Export unavailable: ${err.message}`);
+        await page.keyboard.press('Escape').catch(() => {});
+        return null;
+    }
+}
+
+// Wait until the table's first row or row count changes
+async function waitForTableChange(page, rowSelector, previous) {
+    return page.waitForFunction(
+        ({ selector, firstRow, count }) => {
+            const rows = document.querySelectorAll(selector);
+            return rows.length !== count || (rows[0] && rows[0].textContent !== firstRow);
+        },
+        { selector: rowSelector, ...previous },
+        { timeout: 10000 },
+    ).then(() => true).catch(() => false);
+}
+
+/**
+ * Move to the next page / lazy-loaded segment of the table.
+ * Returns false when there is nothing more to load.
+ */
+async function loadNextSegment(page) {
+    const rowSelector = await selectorFor(page, 'keywordTool.resultRow');
+    const rows = page.locator(rowSelector);
+    const previous = {
+        firstRow: await rows.first().textContent({ timeout: 2000 }).catch(() => ''),
+        count: await rows.count().catch(() => 0),
+    };
+
+    for (const selector of [NEXT_PAGE_SELECTOR, LOAD_MORE_SELECTOR]) {
+        const control = page.locator(selector).first();
+        if (await control.isVisible({ timeout: 1000 }).catch(() => false)) {
+            await control.click();
+            const changed = await waitForTableChange(page, rowSelector, previous);
+            await delay(1000, 2000);
+            return changed;
+        }
+    }
+
+    // Lazy loading: bring the last row into view and see if more arrive
+    await rows.last().scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+    return waitForTableChange(page, rowSelector, previous);
+}
+
+/**
+ * Read the full keyword list of the open tab: the CSV export when the
+ * account can use it, otherwise every page / scroll segment of the table.
+ * `complete` is false when we stopped at the page cap or read fewer rows
+ * than the count KeywordTool reports.
+ */
 async function extractKeywords(page) {
     let tableFound = false;
     for (let attempt = 0; attempt < 3; attempt++) {
-        const count = await page.locator('table tbody tr').count().catch(() => 0);
+        const count = await page.locator(getAlternatives('keywordTool.resultRow').join(', ')).count().catch(() => 0);
         if (count > 0) {
             tableFound = true;
             console.log(`[KT] Table found: ${count} rows (attempt ${attempt + 1})`);
@@ -211,72 +420,107 @@ async function extractKeywords(page) {
 
     if (!tableFound) {
         console.log('[KT] No table rows found');
-        return [];
+        return { keywords: [], complete: false, source: 'table', reportedTotal: null };
     }
 
     await delay(1500, 2500);
+    const reportedTotal = await readReportedTotal(page);
 
-    const keywords = await page.evaluate(() => {
-        const rows = document.querySelectorAll('table tbody tr');
-        const results = [];
-
-        rows.forEach((row, index) => {
-            if (row.querySelector('td[colspan]')) return;
-
-            const cells = row.querySelectorAll('td');
-            if (cells.length < 3) return;
-
-            const keywordEl = cells[1];
-            const keyword = keywordEl ? keywordEl.textContent.trim() : '';
-
-            // Improved blur detection
-            // Check for 'blur' class in classList or innerHTML
-            const volCell = cells[2];
-            const trendCell = cells.length > 3 ? cells[3] : null;
-
-            const isVolumeBlurred = volCell && (
-                volCell.classList.contains('blur') ||
-                volCell.innerHTML.includes('blur') ||
-                volCell.querySelector('.blur') !== null
-            );
-
-            const isTrendBlurred = trendCell && (
-                trendCell.classList.contains('blur') ||
-                trendCell.innerHTML.includes('blur') ||
-                trendCell.querySelector('.blur') !== null
-            );
-
+    const exported = await exportKeywords(page);
+    if (exported) {
+        const complete = reportedTotal === null || exported.length >= reportedTotal;
+        if (!complete) {
+            console.log(`[KT] Export incomplete: ${exported.length}/${reportedTotal} keywords`);
+        }
+        return { keywords: exported, complete, source: 'export', reportedTotal };
+    }
 
+    // Walk the table; rows are keyed by keyword so overlapping segments don't duplicate
+    const collected = new Map();
+    let endReached = false;
+    for (let segment = 0; segment < config.keywordTool.maxPages; segment++) {
+        const table = await readTable(page);
+        parseKeywordRows(table.headers, table.rows).forEach((kw) => {
+            const key = kw.keyword.toLowerCase();
+            if (!collected.has(key)) collected.set(key, kw);
+        });
 
-            let volumeText = volCell ? volCell.textContent.trim() : '-';
-            if (isVolumeBlurred) volumeText = '-';
+        if (!(await loadNextSegment(page))) {
+            endReached = true;
+            break;
+        }
+        console.log(`[KT] Loaded segment ${segment + 2} (${collected.size} keywords so far)`);
+    }
 
-            let trendText = trendCell ? trendCell.textContent.trim() : '-';
-            if (isTrendBlurred) trendText = '-';
+    const keywords = Array.from(collected.values());
+    const complete = endReached && (reportedTotal === null || keywords.length >= reportedTotal);
+    if (!complete) {
+        console.log(`[KT] Keyword list incomplete: ${keywords.length}/${reportedTotal ?? '?'} (page cap: ${config.keywordTool.maxPages})`);
+    }
+    return { keywords, complete, source: 'table', reportedTotal };
+}
 
-            if (keyword) {
-                let searchVolume = 0;
-                if (volumeText !== '-') {
-                    const cleanVolume = volumeText.replace(/,/g, '').replace(/\s/g, '');
-                    if (cleanVolume !== '' && !isNaN(parseInt(cleanVolume, 10))) {
-                        searchVolume = parseInt(cleanVolume, 10);
-                    }
-                }
+// ─── Result Tabs ──────────────────────────────────────────
+/**
+ * Click a result tab and wait until the table shows its rows.
+ * Returns false when the tab could not be opened.
+ */
+async function switchTab(page, tabName) {
+    const tabLabel = TAB_MAP[tabName];
+    try {
+        const rowSelector = await selectorFor(page, 'keywordTool.resultRow');
+        const before = await page.locator(rowSelector).first().textContent({ timeout: 2000 }).catch(() => '');
+
+        const tabEl = page.locator(await selectorFor(page, 'keywordTool.tabLink')).filter({ hasText: tabLabel }).first();
+        await tabEl.click();
+        console.log(`[KT] Tab: ${tabLabel}`);
+
+        // Avoid reading the previous tab's table
+        await page.waitForFunction(
+            ({ selector, previous }) => {
+                const row = document.querySelector(selector);
+                return !row || row.textContent !== previous;
+            },
+            { selector: rowSelector, previous: before },
+            { timeout: 15000 },
+        ).catch(() => console.log(`[KT] Table did not change after opening ${tabLabel}`));
+        await delay(3000, 5000);
+        return true;
+    } catch (err) {
+        console.log(`[KT] Tab switch failed: ${err.message}`);
+        return false;
+    }
+}
 
-                results.push({
-                    keyword,
-                    searchVolume,
-                    searchVolumeFormatted: volumeText,
-                    trend: trendText || '-',
-                    isDataAvailable: !isVolumeBlurred,
-                });
-            }
+/**
+ * Read the "Total Search Volume" / "Average Trend" summary of the open tab
+ */
+async function extractStats(page) {
+    try {
+        const stats = await page.evaluate(() => {
+            const result = {};
+            const body = document.body.textContent;
+            const volMatch = body.match(/Total Search Volume[^0-9]*(\d[\d,]*)/);
+            if (volMatch) result.totalSearchVolume = parseInt(volMatch[1].replace(/,/g, ''), 10);
+            const trendMatch = body.match(/Average Trend[^+-]*([+-][\d,.]+%)/);
+            if (trendMatch) result.averageTrend = trendMatch[1];
+            return result;
         });
+        return {
+            totalSearchVolume: stats.totalSearchVolume || 0,
+            averageTrend: stats.averageTrend || '-',
+            averageTrendPercent: parsePercent(stats.averageTrend),
+        };
+    } catch {
+        return { totalSearchVolume: 0, averageTrend: '-', averageTrendPercent: null };
+    }
+}
 
-        return results;
-    });
-
-    return keywords;
+// Mean of the per-keyword trends, for when the summary isn't shown (or several tabs were merged)
+function meanTrend(keywords) {
+    const trends = keywords.map((kw) => kw.trendPercent).filter((trend) => trend !== null);
+    if (trends.length === 0) return null;
+    return Math.round((trends.reduce((sum, trend) => sum + trend, 0) / trends.length) * 10) / 10;
 }
 
 // ─── Try Scraping with One Account ────────────────────────
@@ -286,57 +530,47 @@ async function tryWithAccount(account, keyword, options) {
         tab = 'suggestions',
         minVolume = 0,
         maxVolume = Infinity,
+        minTrend = null,
+        maxCompetition = null,
+        sortBy = null,
+        language = 'id',
+        country = null,
+        onProgress = () => {},
     } = options;
+    const filters = { minVolume, maxVolume, minTrend, maxCompetition, sortBy };
 
     const platformUrl = PLATFORM_URLS[platform];
-    const userAgent = config.getRandomUserAgent();
-    let browser;
-
-    try {
-        browser = await chromium.launch({
-            headless: config.headless,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-blink-features=AutomationControlled',
-            ],
-        });
-
-        const contextOptions = {
-            userAgent,
-            viewport: { width: 1280, height: 720 },
-            locale: 'id-ID',
-            extraHTTPHeaders: { 'Accept-Language': 'id-ID,id;q=0.9,en;q=0.8' },
-        };
-
-        // Load cookies for this account
-        // Load cookies for this account
-        const savedData = loadCookies(account.cookieFile);
-        if (savedData && savedData.cookies) {
-            contextOptions.storageState = { cookies: savedData.cookies, origins: [] };
-
-            // USE THE SAVED USER AGENT if available
-            if (savedData.userAgent) {
-                contextOptions.userAgent = savedData.userAgent;
-                console.log(`[KT] Loaded cookies & User-Agent for ${account.email}`);
-            } else {
-                console.log(`[KT] Loaded cookies (legacy) for ${account.email}`);
-            }
+    const tabs = resolveTabs(tab);
+    const { locale, languages } = getBrowserLocale(language, country);
+
+    // Load cookies for this account, with the device it logged in on;
+    // only the locale follows the requested language
+    const savedData = loadCookies(account.cookieFile);
+    const profile = localizeProfile(restoreProfile(savedData), { locale, languages });
+    const contextOptions = toContextOptions(profile);
+    if (savedData && savedData.cookies) {
+        contextOptions.storageState = { cookies: savedData.cookies, origins: [] };
+
+        if (savedData.profile) {
+            console.log(`[KT] Loaded cookies & profile (${profile.id}) for ${account.email}`);
+        } else {
+            console.log(`[KT] Loaded cookies (legacy) for ${account.email}, using profile ${profile.id}`);
         }
+    }
 
-        const context = await browser.newContext(contextOptions);
-        const page = await context.newPage();
+    // The account's own proxy, or a sticky one from the pool, so its session keeps one IP
+    const proxy = getAccountProxy(account);
+    if (proxy) contextOptions.proxy = proxy.playwright;
+    const via = proxy ? proxy.label : 'direct';
 
+    return trackProxy(proxy, withContext(contextOptions, async (context) => {
         // Stealth
-        await page.addInitScript(() => {
-            Object.defineProperty(navigator, 'webdriver', { get: () => false });
-            Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
-            window.chrome = { runtime: {} };
-        });
+        await applyProfile(context, profile);
+        const page = await context.newPage();
 
         // Navigate to platform
-        console.log(`[KT] Navigating to ${platformUrl}`);
+        console.log(`[KT] Navigating to ${platformUrl} (proxy: ${via})`);
+        onProgress(10, `Opening KeywordTool (${account.email})`);
         await page.goto(platformUrl, {
             waitUntil: 'domcontentloaded',
             timeout: config.requestTimeout,
@@ -345,9 +579,11 @@ async function tryWithAccount(account, keyword, options) {
 
         // Login
         // Login (Try-Catch to allow Guest fallback)
+        let loginError = null;
         try {
-            await loginIfNeeded(context, page, account);
+            await loginIfNeeded(context, page, account, profile);
         } catch (loginErr) {
+            loginError = loginErr;
             console.log(`[KT] Login failed/skipped: ${loginErr.message}`);
             console.log('[KT] Proceeding as Guest (data might be blurred)...');
         }
@@ -362,19 +598,21 @@ async function tryWithAccount(account, keyword, options) {
             await delay(2000, 3000);
         }
 
-        // Set language
-        await setLanguageIndonesian(page);
+        // Set location (only when requested) and language
+        if (country) await setLocation(page, country);
+        await setLanguage(page, language);
 
         // Search
         console.log(`[KT] Searching: "${keyword}" on ${platform}`);
-        const keywordInput = page.locator('input[id*="keyword"]').first();
+        onProgress(35, 'Searching keyword');
+        const keywordInput = page.locator(await selectorFor(page, 'keywordTool.keywordInput')).first();
         await keywordInput.click();
         await keywordInput.fill('');
         await delay(300, 500);
         await keywordInput.fill(keyword);
         await delay(500, 800);
 
-        const searchBtn = page.locator('form button.btn.btn-primary, button.btn.btn-primary').first();
+        const searchBtn = page.locator(await selectorFor(page, 'keywordTool.searchButton')).first();
         await searchBtn.click();
         console.log('[KT] Search submitted...');
 
@@ -382,144 +620,237 @@ async function tryWithAccount(account, keyword, options) {
         try {
             await page.waitForURL((url) => url.toString().includes('/search/'), { timeout: 60000 });
             console.log('[KT] Results page loaded');
+            onProgress(50, 'Waiting for results');
         } catch {
             console.log('[KT] URL wait timed out');
         }
 
         await delay(8000, 12000);
 
-        // Switch tab
-        if (tab && tab !== 'suggestions') {
-            const tabLabel = TAB_MAP[tab];
-            if (tabLabel) {
-                try {
-                    const tabEl = page.locator('a.nav-link').filter({ hasText: tabLabel }).first();
-                    await tabEl.click();
-                    console.log(`[KT] Tab: ${tabLabel}`);
-                    await delay(3000, 5000);
-                } catch (err) {
-                    console.log(`[KT] Tab switch failed: ${err.message}`);
+        // Read every requested tab in this session (suggestions is open after the search)
+        const byTab = {};
+        for (const [index, tabName] of tabs.entries()) {
+            onProgress(50 + Math.round((index / tabs.length) * 25), `Reading tab: ${TAB_MAP[tabName]}`);
+
+            if (index > 0 || tabName !== 'suggestions') {
+                const switched = await switchTab(page, tabName);
+                if (!switched) {
+                    byTab[tabName] = {
+                        error: 'Tab switch failed',
+                        totalKeywordsFound: 0,
+                        totalSearchVolume: 0,
+                        averageTrend: '-',
+                        averageTrendPercent: null,
+                        complete: false,
+                        keywords: [],
+                    };
+                    continue;
                 }
             }
+
+            const stats = await extractStats(page);
+            const { keywords: tabKeywords, complete, source, reportedTotal } = await extractKeywords(page);
+            console.log(`[KT] Extracted ${tabKeywords.length} keywords from ${TAB_MAP[tabName]} (${source})`);
+            if (stats.averageTrendPercent === null) stats.averageTrendPercent = meanTrend(tabKeywords);
+            byTab[tabName] = {
+                ...stats,
+                totalKeywordsFound: tabKeywords.length,
+                reportedTotal,
+                source,
+                complete,
+                keywords: tabKeywords,
+            };
         }
 
-        // Extract stats
-        let totalSearchVolume = 0;
-        let averageTrend = '-';
-        try {
-            const statsText = await page.evaluate(() => {
-                const stats = {};
-                const body = document.body.textContent;
-                const volMatch = body.match(/Total Search Volume[^0-9]*(\d[\d,]*)/);
-                if (volMatch) stats.totalSearchVolume = parseInt(volMatch[1].replace(/,/g, ''), 10);
-                const trendMatch = body.match(/Average Trend[^+-]*([+-][\d,.]+%)/);
-                if (trendMatch) stats.averageTrend = trendMatch[1];
-                return stats;
+        // Merge tabs; a keyword found in several tabs is tagged with each of them
+        const merged = new Map();
+        tabs.forEach((tabName) => {
+            byTab[tabName].keywords.forEach((kw) => {
+                const key = kw.keyword.toLowerCase();
+                if (!merged.has(key)) merged.set(key, { ...kw, tabs: [] });
+                merged.get(key).tabs.push(tabName);
             });
-            totalSearchVolume = statsText.totalSearchVolume || 0;
-            averageTrend = statsText.averageTrend || '-';
-        } catch { }
+        });
+        const allKeywords = Array.from(merged.values());
 
-        // Extract keywords
-        const allKeywords = await extractKeywords(page);
-        console.log(`[KT] Extracted ${allKeywords.length} keywords`);
+        const firstTab = byTab[tabs[0]];
+        const totalSearchVolume = tabs.length === 1
+            ? firstTab.totalSearchVolume
+            : allKeywords.reduce((sum, kw) => sum + kw.searchVolume, 0);
+        const averageTrend = tabs.length === 1 ? firstTab.averageTrend : '-';
+        const averageTrendPercent = tabs.length === 1 ? firstTab.averageTrendPercent : meanTrend(allKeywords);
 
         // Check if data is Pro (not all blurred)
+        const blurred = allKeywords.length > 0 && !allKeywords.some((kw) => kw.isDataAvailable);
         if (allKeywords.length > 0) {
-            const hasAnyRealData = allKeywords.some((kw) => kw.isDataAvailable);
-            if (!hasAnyRealData) {
+            if (blurred) {
                 console.log(`[KT] Warning: Data is blurred (Guest/Free tier). Proceeding anyway.`);
                 // We DO NOT throw error anymore, as requested by user.
                 // We return what we have (keywords without volume).
             } else {
-                // Success! Save cookies if we got real data
+                // Success! Save cookies (with the profile) if we got real data
                 const cookies = await context.cookies();
-                // Save cookies with User-Agent
-                const currentUserAgent = await page.evaluate(() => navigator.userAgent);
-                saveCookies(account.cookieFile, cookies, currentUserAgent);
+                saveCookies(account.cookieFile, cookies, profile);
             }
         }
 
-        // Apply volume filters
-        const filtered = allKeywords.filter((kw) => {
-            return kw.searchVolume >= minVolume && kw.searchVolume <= maxVolume;
-        });
+        // Apply volume/trend/competition filters
+        const filtered = filterKeywords(allKeywords, filters);
 
-        console.log(`[KT] Volume filter (${minVolume}-${maxVolume}): ${filtered.length} keywords`);
+        console.log(`[KT] Filters (volume ${minVolume}-${maxVolume}, trend >= ${minTrend ?? '-'}, competition <= ${maxCompetition ?? '-'}): ${filtered.length} keywords`);
 
-        return {
+        const result = {
             account: account.email,
+            complete: tabs.every((tabName) => byTab[tabName].complete),
             totalKeywordsFound: allKeywords.length,
             totalSearchVolume,
             averageTrend,
+            averageTrendPercent,
             filter: {
                 minVolume,
                 maxVolume: maxVolume === Infinity ? 'unlimited' : maxVolume,
+                minTrend,
+                maxCompetition,
+                sortBy,
             },
             filteredCount: filtered.length,
             keywords: filtered,
         };
-    } finally {
-        if (browser) await browser.close();
-    }
+
+        // Per-tab groups and totals when more than one tab was read
+        if (tabs.length > 1) {
+            result.byTab = Object.fromEntries(tabs.map((tabName) => {
+                const { keywords: tabKeywords, ...totals } = byTab[tabName];
+                const tabFiltered = filterKeywords(tabKeywords, filters);
+                return [tabName, { ...totals, filteredCount: tabFiltered.length, keywords: tabFiltered }];
+            }));
+        }
+
+        console.log(`[KT] ${allKeywords.length} keywords for ${account.email} served via ${via}`);
+        return { result, loginError, blurred };
+    }));
 }
 
 // ─── Main Scrape Function (Multi-Account Fallback) ────────
 /**
  * Scrape keyword data from keywordtool.io
- * Tries each account in order. If one fails, tries the next.
+ * Accounts come from the account manager (healthiest first, round-robin,
+ * one scrape per account at a time). If one fails, tries the next.
  *
  * @param {string} keyword - Search keyword
  * @param {object} options
  * @param {string} options.platform - google|youtube|instagram|tiktok|google-trends
- * @param {string} options.tab - suggestions|questions|prepositions|related
+ * @param {string|string[]} options.tab - suggestions|questions|prepositions|related, a list of them, or "all"
  * @param {number} options.minVolume - Minimum search volume filter
  * @param {number} options.maxVolume - Maximum search volume filter
+ * @param {number} options.minTrend - Minimum trend in percent (keywords without a trend are dropped)
+ * @param {number} options.maxCompetition - Maximum competition 0-100 (keywords without one are dropped)
+ * @param {string} options.sortBy - One of SORT_MODES (default: table order)
+ * @param {string} options.language - Language code from LANGUAGES (default: id)
+ * @param {string} options.country - Location code from COUNTRIES (default: keep KeywordTool's current location)
+ * @param {Function} options.onProgress - Optional (percent, message) callback
  */
 async function scrapeKeywords(keyword, options = {}) {
-    const { platform = 'google' } = options;
+    const { platform = 'google', language = 'id', country = null } = options;
 
     const platformUrl = PLATFORM_URLS[platform];
     if (!platformUrl) {
-        throw new Error(`Invalid platform: "${platform}". Valid: ${Object.keys(PLATFORM_URLS).join(', ')}`);
+        throw new ValidationError(`Invalid platform: "${platform}". Valid: ${Object.keys(PLATFORM_URLS).join(', ')}`);
     }
-
-    // Clone accounts array to sort it without mutating config
-    const accounts = [...config.keywordToolAccounts];
-    if (!accounts || accounts.length === 0) {
-        throw new Error('Tidak ada akun KeywordTool.io dikonfigurasi di .env');
+    if (!LANGUAGES[language]) {
+        throw new ValidationError(`Invalid language: "${language}". Valid: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    if (country && !COUNTRIES[country]) {
+        throw new ValidationError(`Invalid country: "${country}". Valid: ${Object.keys(COUNTRIES).join(', ')}`);
+    }
+    resolveTabs(options.tab);
+    if (options.sortBy && !SORT_MODES[options.sortBy]) {
+        throw new ValidationError(`Invalid sortBy: "${options.sortBy}". Valid: ${Object.keys(SORT_MODES).join(', ')}`);
     }
 
-    // Prioritize accounts with existing cookies
-    accounts.sort((a, b) => {
-        const aExists = fs.existsSync(a.cookieFile);
-        const bExists = fs.existsSync(b.cookieFile);
-        if (aExists && !bExists) return -1;
-        if (!aExists && bExists) return 1;
-        return 0;
-    });
+    if (config.keywordToolAccounts.length === 0) {
+        throw new NoAccountsError('Tidak ada akun KeywordTool.io dikonfigurasi di .env', { retryable: false });
+    }
 
+    // The account manager picks the healthiest free account and locks it for this scrape.
+    // Blurred data gets one retry, on a pro account only; otherwise it is returned as is
+    const tried = new Set();
     const errors = [];
+    let blurredResult = null;
 
-    for (let i = 0; i < accounts.length; i++) {
-        const account = accounts[i];
-        console.log(`\n[KT] ══ Mencoba akun ${i + 1}/${accounts.length}: ${account.email} ══`);
+    for (;;) {
+        let account;
+        try {
+            account = await acquireAccount(tried, { platform, plan: blurredResult ? 'pro' : null });
+        } catch (err) {
+            if (blurredResult) break;
+            throw err;
+        }
+        if (!account) break;
+        tried.add(account.email);
+        console.log(`\n[KT] ══ Mencoba akun ${tried.size}/${config.keywordToolAccounts.length}: ${account.email} ══`);
 
+        let attempt;
         try {
-            const result = await tryWithAccount(account, keyword, options);
-            console.log(`[KT] ✅ Berhasil dengan akun: ${account.email}`);
-            return result;
+            attempt = await tryWithAccount(account, keyword, options);
         } catch (err) {
             console.error(`[KT] ❌ Akun ${account.email} gagal: ${err.message}`);
-            // Delete cookies for failed account
+            releaseAccount(account, 'error', err);
+            errors.push({ account: account.email, error: err });
+            if (blurredResult) break;
+            continue;
+        }
+
+        const { result, loginError, blurred } = attempt;
+        if (loginError) {
+            // Stale/invalid session: start from a clean login next time
             deleteCookies(account.cookieFile);
-            errors.push({ account: account.email, error: err.message });
+            const isChallenge = loginError instanceof OtpRequiredError;
+            releaseAccount(account, isChallenge ? 'otp' : 'login_failed', loginError);
+        } else {
+            releaseAccount(account, blurred ? 'blurred' : 'success');
         }
+
+        if (!blurred) {
+            console.log(`[KT] ✅ Berhasil dengan akun: ${account.email}`);
+            return result;
+        }
+        if (blurredResult) break;
+
+        console.log(`[KT] Data blurred dengan akun ${account.email}, mencoba sekali dengan akun pro...`);
+        blurredResult = result;
     }
 
-    // All accounts failed
-    const errorDetails = errors.map((e) => `${e.account}: ${e.error}`).join(' | ');
-    throw new Error(`Semua akun gagal login. ${errorDetails}`);
+    if (blurredResult) {
+        console.log('[KT] Tidak ada data tanpa blur, mengembalikan hasil blurred pertama');
+        return blurredResult;
+    }
+
+    // All accounts failed or are cooling down
+    if (errors.length === 0) {
+        throw new NoAccountsError('Semua akun KeywordTool.io sedang cooldown atau kuota harian habis. Cek GET /api/accounts/status', {
+            retryAfter: getRetryAfter(),
+        });
+    }
+
+    // Report the most telling failure: every account stuck on OTP, any rejected
+    // login, otherwise the type of the last error (timeout, layout change, ...)
+    const errorDetails = errors.map((e) => `${e.account}: ${e.error.message}`).join(' | ');
+    const failures = errors.map((e) => e.error);
+    const last = failures[failures.length - 1];
+    if (failures.every((err) => err instanceof OtpRequiredError)) {
+        throw new OtpRequiredError(`Semua akun memerlukan OTP/verifikasi. ${errorDetails}`, { retryAfter: last.retryAfter });
+    }
+    if (failures.some((err) => err instanceof AuthFailedError)) {
+        throw new AuthFailedError(`Semua akun gagal login. ${errorDetails}`);
+    }
+    if (last instanceof AppError) {
+        throw new AppError(last.code, `Semua akun gagal. ${errorDetails}`, { retryAfter: last.retryAfter });
+    }
+    if (last.name === 'TimeoutError') {
+        throw new AppError('timeout', `Semua akun gagal. ${errorDetails}`);
+    }
+    throw new UpstreamError(`Semua akun gagal. ${errorDetails}`);
 }
 
-module.exports = { scrapeKeywords, PLATFORM_URLS };
+module.exports = { scrapeKeywords, resolveTabs, PLATFORM_URLS, TABS, LANGUAGES, COUNTRIES, SORT_MODES };
@@ -0,0 +1,120 @@
+// ─── Selector Registry ────────────────────────────────────
+// Every page selector the scrapers depend on. Each entry lists alternatives
+// in order of preference; the first one that matches the page is used.
+// Bump SELECTORS_VERSION with every change so diagnostics reports and
+// snapshots can be matched to the selector set that produced them.
+const SELECTORS_VERSION = '2026.10.2';
+
+const SELECTORS = {
+    tiktok: {
+        searchCard: ['[data-e2e="search_top-item"]', '[data-e2e="search-card-item"]', 'div[id^="grid-item-container"]'],
+        hashtagCard: ['[data-e2e="challenge-item"]', 'div[id^="grid-item-container"]'],
+        creatorCard: ['[data-e2e="user-post-item"]', 'div[id^="grid-item-container"]'],
+        // Inside a card; CSS only (used in page.evaluate). Every video URL has /video/<id>
+        videoLink: ['a[href*="/video/"]'],
+        videoViews: ['[data-e2e="video-views"]', 'strong[class*="VideoCount"]'],
+        modalClose: ['[data-e2e="modal-close-inner-button"]', 'div[role="dialog"] button[aria-label="Close"]'],
+    },
+    keywordTool: {
+        keywordInput: ['input[id*="keyword"]', 'input[name*="keyword"]', 'form input[type="search"]'],
+        searchButton: ['form button.btn.btn-primary', 'button.btn.btn-primary', 'form button[type="submit"]'],
+        // Tom Select dropdowns: location first, language last
+        dropdown: ['.ts-wrapper', 'div:has(> .ts-control)'],
+        dropdownControl: ['.ts-control', '[role="combobox"]'],
+        dropdownInput: ['input.dropdown-input', '.ts-dropdown input'],
+        dropdownOption: ['.ts-dropdown .option', '[role="option"]'],
+        loginLink: ['a[href="/user/login"]', 'a[href$="/login"]'],
+        loginEmail: ['input#email', 'input[name="email"]', 'input[type="email"]'],
+        loginPassword: ['input#password', 'input[name="password"]', 'input[type="password"]'],
+        loginSubmit: ['button[type="submit"]', 'input[type="submit"]'],
+        tabLink: ['a.nav-link', '.nav-tabs a', '[role="tab"]'],
+        activeTab: ['a.nav-link.active', '.nav-tabs a.active', '[role="tab"][aria-selected="true"]'],
+        // CSS only: also used inside page.evaluate()
+        resultRow: ['table tbody tr', 'table tr:has(> td)'],
+        headerCell: ['table thead th', 'table tr:first-child > th'],
+    },
+};
+
+// ─── Lookup ───────────────────────────────────────────────
+/**
+ * Alternatives for "source.name", e.g. getAlternatives('keywordTool.resultRow')
+ */
+function getAlternatives(key) {
+    const [source, name] = key.split('.');
+    const alternatives = SELECTORS[source] && SELECTORS[source][name];
+    if (!alternatives) throw new Error(`Unknown selector: "${key}"`);
+    return alternatives;
+}
+
+// key -> { hits, misses, fallbackHits, lastAlternative, lastMatchedAt, lastMissAt }
+const health = new Map();
+
+function record(key, index) {
+    if (!health.has(key)) {
+        health.set(key, { hits: 0, misses: 0, fallbackHits: 0, lastAlternative: null, lastMatchedAt: null, lastMissAt: null });
+    }
+    const entry = health.get(key);
+    const now = new Date().toISOString();
+
+    if (index === null) {
+        entry.misses++;
+        entry.lastMissAt = now;
+        return;
+    }
+    if (index > 0 && entry.lastAlternative !== index) {
+        console.log(`[Selectors] ${key}: primary selector failed, using alternative #${index + 1} "${getAlternatives(key)[index]}"`);
+    }
+    entry.hits++;
+    if (index > 0) entry.fallbackHits++;
+    entry.lastAlternative = index;
+    entry.lastMatchedAt = now;
+}
+
+/**
+ * First alternative that matches the page.
+ * @param {object} options - { timeout } ms to wait for any alternative to appear (default: no wait)
+ * @returns {Promise<{ selector: string, index: number }|null>}
+ */
+async function resolveSelector(page, key, options = {}) {
+    const { timeout = 0 } = options;
+    const alternatives = getAlternatives(key);
+
+    if (timeout > 0) {
+        await page.waitForSelector(alternatives.join(', '), { state: 'attached', timeout }).catch(() => {});
+    }
+
+    for (const [index, selector] of alternatives.entries()) {
+        const count = await page.locator(selector).count().catch(() => 0);
+        if (count > 0) {
+            record(key, index);
+            return { selector, index };
+        }
+    }
+    record(key, null);
+    return null;
+}
+
+/**
+ * The selector to use right now: the first matching alternative, or the
+ * primary one when nothing matches (so callers fail the way they used to)
+ */
+async function selectorFor(page, key, options = {}) {
+    const match = await resolveSelector(page, key, options);
+    return match ? match.selector : getAlternatives(key)[0];
+}
+
+function getSelectorHealth() {
+    return Object.fromEntries(Array.from(health.entries()).map(([key, entry]) => [
+        key,
+        { ...entry, lastAlternative: entry.lastAlternative === null ? null : getAlternatives(key)[entry.lastAlternative] },
+    ]));
+}
+
+module.exports = {
+    SELECTORS_VERSION,
+    SELECTORS,
+    getAlternatives,
+    resolveSelector,
+    selectorFor,
+    getSelectorHealth,
+};
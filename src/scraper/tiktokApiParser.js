@@ -0,0 +1,82 @@
+const { videoIdToDate } = require('../utils/helpers');
+
+// ─── Item-List Endpoints ──────────────────────────────────
+// XHRs the TikTok web app makes while a page loads and scrolls
+const API_PATTERNS = [
+    /\/api\/search\/general\/full\//,
+    /\/api\/search\/item\/full\//,
+    /\/api\/challenge\/item_list\//,
+    /\/api\/post\/item_list\//,
+];
+
+function isItemListResponse(url) {
+    return API_PATTERNS.some((pattern) => pattern.test(url));
+}
+
+/**
+ * Pull raw video items out of an item-list response body.
+ * Search "general" mixes users/videos as { type, item }; the others
+ * return plain item arrays.
+ */
+function extractItems(body) {
+    if (!body || typeof body !== 'object') return [];
+    if (Array.isArray(body.data)) {
+        return body.data.filter((entry) => entry && entry.item).map((entry) => entry.item);
+    }
+    return body.item_list || body.itemList || [];
+}
+
+// statsV2 carries exact counts as strings; stats can be rounded for big numbers
+function readCount(item, field) {
+    const v2 = item.statsV2 && item.statsV2[field];
+    if (v2 !== undefined && v2 !== null && v2 !== '') return Number(v2);
+    const v1 = item.stats && item.stats[field];
+    return v1 !== undefined && v1 !== null ? Number(v1) : null;
+}
+
+/**
+ * Build the normalized video shape from a TikTok API item
+ */
+function normalizeApiItem(item) {
+    const id = String(item.id || '');
+    const author = item.author || {};
+    const music = item.music || null;
+
+    const hashtags = new Set();
+    (item.textExtra || []).forEach((extra) => {
+        if (extra.hashtagName) hashtags.add(`#${extra.hashtagName.toLowerCase()}`);
+    });
+    (item.challenges || []).forEach((challenge) => {
+        if (challenge.title) hashtags.add(`#${challenge.title.toLowerCase()}`);
+    });
+
+    const createTime = item.createTime ? Number(item.createTime) : null;
+
+    return {
+        id,
+        url: author.uniqueId ? `https://www.tiktok.com/@${author.uniqueId}/video/${id}` : `https://www.tiktok.com/video/${id}`,
+        description: item.desc || '',
+        author: author.uniqueId ? `@${author.uniqueId}` : '',
+        authorId: author.id || null,
+        authorNickname: author.nickname || null,
+        hashtags: Array.from(hashtags),
+        views: readCount(item, 'playCount') || 0,
+        likes: readCount(item, 'diggCount'),
+        comments: readCount(item, 'commentCount'),
+        shares: readCount(item, 'shareCount'),
+        postedAt: createTime ? new Date(createTime * 1000).toISOString() : videoIdToDate(id),
+        postedAtText: null,
+        createTime,
+        duration: item.video && item.video.duration ? Number(item.video.duration) : null,
+        music: music
+            ? {
+                id: music.id || null,
+                title: music.title || null,
+                author: music.authorName || null,
+                original: Boolean(music.original),
+            }
+            : null,
+    };
+}
+
+module.exports = { isItemListResponse, extractItems, normalizeApiItem };
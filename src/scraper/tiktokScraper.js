@@ -1,191 +1,672 @@
-const { chromium } = require('playwright');
 const config = require('../config');
-const { parseCount, extractHashtags, cleanText, delay } = require('../utils/helpers');
+const { withContext } = require('./browserPool');
+const { nextProxy, reportProxy } = require('./proxyPool');
+const { createProfile, localizeProfile, toContextOptions, applyProfile } = require('./fingerprints');
+const { getAlternatives, resolveSelector, selectorFor } = require('./selectors');
+const {
+    AppError,
+    ValidationError,
+    TimeoutError,
+    UpstreamError,
+    UpstreamChangedError,
+    CaptchaError,
+    RateLimitError,
+    LoginRequiredError,
+    NoResultsError,
+} = require('../utils/errors');
+const { isItemListResponse, extractItems, normalizeApiItem } = require('./tiktokApiParser');
+const {
+    parseCount,
+    extractVideoId,
+    videoIdToDate,
+    extractHashtags,
+    cleanText,
+    delay,
+} = require('../utils/helpers');
+
+// ─── Regions ──────────────────────────────────────────────
+// Browser locale, timezone and geolocation per TikTok region.
+// `lang` is the default language for the region.
+const REGIONS = {
+    US: { lang: 'en', timezoneId: 'America/New_York', geolocation: { latitude: 40.7128, longitude: -74.006 } },
+    GB: { lang: 'en', timezoneId: 'Europe/London', geolocation: { latitude: 51.5074, longitude: -0.1278 } },
+    ID: { lang: 'id', timezoneId: 'Asia/Jakarta', geolocation: { latitude: -6.2088, longitude: 106.8456 } },
+    MY: { lang: 'ms', timezoneId: 'Asia/Kuala_Lumpur', geolocation: { latitude: 3.139, longitude: 101.6869 } },
+    SG: { lang: 'en', timezoneId: 'Asia/Singapore', geolocation: { latitude: 1.3521, longitude: 103.8198 } },
+    TH: { lang: 'th', timezoneId: 'Asia/Bangkok', geolocation: { latitude: 13.7563, longitude: 100.5018 } },
+    VN: { lang: 'vi', timezoneId: 'Asia/Ho_Chi_Minh', geolocation: { latitude: 10.8231, longitude: 106.6297 } },
+    PH: { lang: 'en', timezoneId: 'Asia/Manila', geolocation: { latitude: 14.5995, longitude: 120.9842 } },
+};
+
+const LANGUAGES = ['en', 'id', 'ms', 'th', 'vi'];
+
+// api: build videos from intercepted item-list JSON, dom: parse the cards,
+// auto: api when any JSON was captured, dom otherwise
+const EXTRACTION_MODES = ['auto', 'api', 'dom'];
 
 /**
- * Scrape TikTok search results for a given keyword
- * @param {string} keyword - Search keyword
- * @param {object} options - { limit: number }
- * @returns {Promise<Array>} Array of video objects
+ * Locale, timezone and location for a region/language pair
  */
-async function scrapeTikTokSearch(keyword, options = {}) {
-    const { limit = 20 } = options;
-    const userAgent = config.getRandomUserAgent();
+function getRegionContextOptions(region, lang) {
+    const settings = REGIONS[region];
+    const locale = `${lang}-${region}`;
+
+    return {
+        locale,
+        languages: lang === 'en' ? [locale, 'en'] : [locale, lang, 'en'],
+        timezoneId: settings.timezoneId,
+        geolocation: settings.geolocation,
+    };
+}
 
-    let browser;
+/**
+ * Read engagement counts and the post date from a video detail page.
+ * Returns null for any metric the page does not show.
+ */
+async function scrapeVideoDetails(context, url) {
+    const page = await context.newPage();
     try {
-        browser = await chromium.launch({
-            headless: config.headless,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-blink-features=AutomationControlled',
-            ],
-        });
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.requestTimeout });
+        await page.waitForSelector('[data-e2e="like-count"]', { timeout: 10000 }).catch(() => {});
 
-        const context = await browser.newContext({
-            userAgent,
-            viewport: { width: 1920, height: 1080 },
-            locale: 'en-US',
-            extraHTTPHeaders: {
-                'Accept-Language': 'en-US,en;q=0.9',
-            },
-        });
+        return await page.evaluate(() => {
+            const text = (selector) => {
+                const el = document.querySelector(selector);
+                return el && el.textContent.trim() ? el.textContent.trim() : null;
+            };
 
-        const page = await context.newPage();
+            // Nickname line ends with the post date, e.g. "Name · 2024-2-24"
+            const dateEl = document.querySelector('[data-e2e="browser-nickname"] span:last-child');
 
-        // Stealth overrides
-        await page.addInitScript(() => {
-            Object.defineProperty(navigator, 'webdriver', { get: () => false });
-            Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
-            Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
-            window.chrome = { runtime: {} };
+            return {
+                likes: text('[data-e2e="like-count"]'),
+                comments: text('[data-e2e="comment-count"]'),
+                shares: text('[data-e2e="share-count"]'),
+                postedAtText: dateEl ? dateEl.textContent.trim() : null,
+            };
         });
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
 
-        const searchUrl = `https://www.tiktok.com/search?q=${encodeURIComponent(keyword)}`;
-        console.log(`[Scraper] Navigating to: ${searchUrl}`);
+// ─── Shared Page Helpers ──────────────────────────────────
+function resolveLocale(region, lang) {
+    if (!REGIONS[region]) {
+        throw new ValidationError(`Invalid region: "${region}". Valid: ${Object.keys(REGIONS).join(', ')}`);
+    }
+    const resolvedLang = lang || REGIONS[region].lang;
+    if (!LANGUAGES.includes(resolvedLang)) {
+        throw new ValidationError(`Invalid lang: "${resolvedLang}". Valid: ${LANGUAGES.join(', ')}`);
+    }
+    return resolvedLang;
+}
 
-        await page.goto(searchUrl, {
-            waitUntil: 'networkidle',
-            timeout: config.requestTimeout,
-        });
+async function dismissModals(page) {
+    try {
+        const declineBtn = page.locator('button:has-text("Decline")').first();
+        if (await declineBtn.isVisible({ timeout: 2000 })) {
+            await declineBtn.click();
+            await delay(500, 1000);
+        }
+    } catch { }
+
+    try {
+        const closeBtn = page.locator(getAlternatives('tiktok.modalClose').join(', ')).first();
+        if (await closeBtn.isVisible({ timeout: 2000 })) {
+            await closeBtn.click();
+            await delay(500, 1000);
+        }
+    } catch { }
+}
 
-        await delay(4000, 6000);
+// ─── Bot Walls ────────────────────────────────────────────
+// Checked in order; a state matches on a visible element or on the page text
+const PAGE_STATES = [
+    {
+        code: 'captcha',
+        selector: '#captcha-verify-image, #captcha_container, .captcha_verify_container, .captcha-verify-container, iframe[src*="captcha"]',
+        text: /verify to continue|drag the (slider|puzzle)|select 2 objects/i,
+        error: CaptchaError,
+    },
+    {
+        code: 'rate_limited',
+        selector: null,
+        text: /too many (requests|attempts)|maximum number of attempts|visiting .* too frequently/i,
+        error: RateLimitError,
+    },
+    {
+        code: 'login_required',
+        selector: '[data-e2e="login-modal"], #login-modal, #loginContainer',
+        text: null,
+        error: LoginRequiredError,
+    },
+    {
+        code: 'no_results',
+        selector: '[data-e2e="search-no-result"], [data-e2e="search-error-container"]',
+        text: /no results found|couldn['’]t find this (account|hashtag|sound)/i,
+        error: NoResultsError,
+    },
+];
 
-        // Dismiss modals
-        try {
-            const declineBtn = page.locator('button:has-text("Decline")').first();
-            if (await declineBtn.isVisible({ timeout: 2000 })) {
-                await declineBtn.click();
-                await delay(500, 1000);
+/**
+ * Why a page has no videos: a typed error for a captcha, rate limit,
+ * login wall or "no results" page, or null when nothing is recognised.
+ */
+async function detectPageState(page) {
+    const checks = PAGE_STATES.map(({ code, selector, text }) => ({
+        code,
+        selector,
+        text: text ? [text.source, text.flags] : null,
+    }));
+
+    const code = await page.evaluate((states) => {
+        const isVisible = (el) => {
+            const rect = el.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0;
+        };
+        const bodyText = document.body ? document.body.innerText : '';
+        const match = states.find(({ selector, text }) =>
+            (selector && Array.from(document.querySelectorAll(selector)).some(isVisible)) ||
+            (text && new RegExp(text[0], text[1]).test(bodyText)));
+        return match ? match.code : null;
+    }, checks).catch(() => null);
+
+    const state = PAGE_STATES.find((s) => s.code === code);
+    return state ? new state.error() : null;
+}
+
+/**
+ * Keep scrolling until `limit` unique videos are loaded.
+ * Stops early when the time budget runs out or several scrolls in a row
+ * add nothing new; the caller still gets what was collected.
+ * @returns {Promise<{ truncated: boolean, truncatedReason: 'time_budget'|'no_more_results'|null }>}
+ */
+async function scrollUntilLimit(page, { limit, collect, countUnique, onProgress }) {
+    const deadline = Date.now() + config.scrollTimeBudget;
+    let idleScrolls = 0;
+
+    await collect();
+    while (countUnique() < limit) {
+        if (Date.now() >= deadline) {
+            return { truncated: true, truncatedReason: 'time_budget' };
+        }
+        if (idleScrolls >= config.maxIdleScrolls) {
+            return { truncated: true, truncatedReason: 'no_more_results' };
+        }
+
+        const before = countUnique();
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        await delay(2000, 4000);
+        await collect();
+
+        const found = countUnique();
+        idleScrolls = found > before ? 0 : idleScrolls + 1;
+        onProgress(30 + Math.round((Math.min(found, limit) / limit) * 40), `Collected ${found}/${limit} videos`);
+    }
+    return { truncated: false, truncatedReason: null };
+}
+
+/**
+ * Read raw video cards from the page.
+ * In headless mode, TikTok puts the description in the <img alt> attribute
+ * of the thumbnail image inside each card.
+ * Format: "description text #hashtag1 #hashtag2  created by AuthorName with SoundName"
+ */
+async function extractVideoCards(page, cardSelector, fieldSelectors) {
+    return page.evaluate(({ selector, fields }) => {
+        const results = [];
+        const cards = document.querySelectorAll(selector);
+
+        cards.forEach((card) => {
+            // Get video URL
+            const videoLink = card.querySelector(fields.videoLink);
+            if (!videoLink) return;
+            const href = videoLink.getAttribute('href') || '';
+            const url = href.startsWith('http') ? href : 'https://www.tiktok.com' + href;
+
+            // Get view count
+            const viewsEl = card.querySelector(fields.videoViews);
+            const views = viewsEl ? viewsEl.textContent.trim() : '0';
+
+            // Some card layouts also show engagement counts and the post date
+            const countText = (sel) => {
+                const el = card.querySelector(sel);
+                return el && el.textContent.trim() ? el.textContent.trim() : null;
+            };
+            const likes = countText('[data-e2e="video-like-count"], [data-e2e="like-count"]');
+            const comments = countText('[data-e2e="video-comment-count"], [data-e2e="comment-count"]');
+            const shares = countText('[data-e2e="video-share-count"], [data-e2e="share-count"]');
+            const postedAtText = countText('[data-e2e="search-card-video-date"]');
+
+            // Extract description from img alt attribute (headless mode)
+            const img = card.querySelector('img[alt]');
+            let altText = img ? img.getAttribute('alt') || '' : '';
+
+            // Parse alt text: "description #hashtags  created by AuthorName with SoundName"
+            let description = altText;
+            let author = '';
+
+            // Extract author from "created by X with" pattern
+            const createdByMatch = altText.match(/\s{2,}created by\s+(.+?)(?:\s+with\s+|$)/i);
+            if (createdByMatch) {
+                author = '@' + createdByMatch[1].trim();
+                // Remove the "created by..." part from description
+                description = altText.substring(0, altText.indexOf(createdByMatch[0])).trim();
             }
-        } catch { }
 
-        try {
-            const closeBtn = page.locator('[data-e2e="modal-close-inner-button"]').first();
-            if (await closeBtn.isVisible({ timeout: 2000 })) {
-                await closeBtn.click();
-                await delay(500, 1000);
+            // If no "created by" pattern, try to extract author from URL
+            if (!author) {
+                const authorMatch = href.match(/@([^/]+)/);
+                if (authorMatch) author = '@' + authorMatch[1];
+            }
+
+            // Also try to get description from search-card-video-caption (works in non-headless)
+            const captionEl = card.querySelector('[data-e2e="search-card-video-caption"]');
+            if (captionEl && captionEl.textContent.trim()) {
+                description = captionEl.textContent.trim();
+            }
+
+            // Try to get author from search-card-user-unique-id
+            const authorEl = card.querySelector('[data-e2e="search-card-user-unique-id"]');
+            if (authorEl && authorEl.textContent.trim()) {
+                author = '@' + authorEl.textContent.trim().replace(/^@/, '');
             }
-        } catch { }
 
-        // Wait for search results
+            // Extract hashtags from search-common-link elements
+            const hashtagEls = card.querySelectorAll('[data-e2e="search-common-link"]');
+            const cardHashtags = [];
+            hashtagEls.forEach((el) => {
+                const text = (el.textContent || '').trim();
+                if (text.startsWith('#')) cardHashtags.push(text.toLowerCase());
+            });
+
+            results.push({
+                description,
+                author,
+                views,
+                likes,
+                comments,
+                shares,
+                postedAtText,
+                url,
+                hashtags: cardHashtags,
+            });
+        });
+
+        return results;
+    }, { selector: cardSelector, fields: fieldSelectors });
+}
+
+/**
+ * Turn a raw card into the normalized video shape shared by all scrapers
+ */
+function normalizeVideo(v) {
+    // Strip "created by X with Y" suffix from alt-text extracted descriptions
+    let desc = v.description;
+    const createdIdx = desc.search(/\s{1,}created by\s+/i);
+    if (createdIdx > 0) {
+        desc = desc.substring(0, createdIdx).trim();
+    }
+
+    const descHashtags = extractHashtags(desc);
+    const allHashtags = [...new Set([...(v.hashtags || []), ...descHashtags])];
+
+    const id = extractVideoId(v.url);
+
+    return {
+        id,
+        url: v.url,
+        description: cleanText(desc),
+        author: v.author || '',
+        authorId: null,
+        authorNickname: null,
+        hashtags: allHashtags,
+        views: parseCount(v.views),
+        likes: v.likes ? parseCount(v.likes) : null,
+        comments: v.comments ? parseCount(v.comments) : null,
+        shares: v.shares ? parseCount(v.shares) : null,
+        postedAt: videoIdToDate(id),
+        postedAtText: v.postedAtText || null,
+        createTime: null,
+        duration: null,
+        music: null,
+    };
+}
+
+/**
+ * Read TikTok's server-rendered state (used for tag/creator stats)
+ */
+async function readRehydrationData(page, scopeKey) {
+    return page.evaluate((key) => {
+        const script = document.getElementById('__UNIVERSAL_DATA_FOR_REHYDRATION__');
+        if (!script) return null;
         try {
-            await page.waitForSelector('[data-e2e="search_top-item"]', { timeout: 15000 });
-            console.log('[Scraper] Found search_top-item elements');
+            const data = JSON.parse(script.textContent);
+            return (data.__DEFAULT_SCOPE__ || {})[key] || null;
         } catch {
-            console.log('[Scraper] search_top-item not found, trying fallback...');
+            return null;
         }
+    }, scopeKey).catch(() => null);
+}
 
-        // Scroll to load more content
-        let previousHeight = 0;
-        for (let i = 0; i < config.maxScrollCount; i++) {
-            await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-            await delay(2000, 4000);
-            const currentHeight = await page.evaluate(() => document.body.scrollHeight);
-            if (currentHeight === previousHeight) break;
-            previousHeight = currentHeight;
-        }
+/**
+ * Open a TikTok page that lists video cards, scroll it and return
+ * normalized videos plus whatever `readStats(page)` returns.
+ * Videos come from the page's own item-list JSON when it is captured,
+ * with DOM card parsing as the fallback (see EXTRACTION_MODES).
+ */
+async function scrapeVideoPage(url, options) {
+    const {
+        cardKey,
+        label,
+        limit = 20,
+        withDetails = false,
+        region = 'US',
+        extraction = 'auto',
+        onProgress = () => {},
+        readStats = async () => null,
+    } = options;
+    const lang = resolveLocale(region, options.lang);
+    if (!EXTRACTION_MODES.includes(extraction)) {
+        throw new ValidationError(`Invalid extraction: "${extraction}". Valid: ${EXTRACTION_MODES.join(', ')}`);
+    }
 
-        // Extract video data
-        // In headless mode, TikTok puts the description in the <img alt> attribute
-        // of the thumbnail image inside each search_top-item card.
-        // Format: "description text #hashtag1 #hashtag2  created by AuthorName with SoundName"
-        const videos = await page.evaluate(() => {
-            const results = [];
-            const cards = document.querySelectorAll('[data-e2e="search_top-item"]');
-
-            cards.forEach((card) => {
-                // Get video URL
-                const videoLink = card.querySelector('a[href*="/video/"]');
-                if (!videoLink) return;
-                const href = videoLink.getAttribute('href') || '';
-                const url = href.startsWith('http') ? href : 'https://www.tiktok.com' + href;
-
-                // Get view count
-                const viewsEl = card.querySelector('[data-e2e="video-views"]');
-                const views = viewsEl ? viewsEl.textContent.trim() : '0';
-
-                // Extract description from img alt attribute (headless mode)
-                const img = card.querySelector('img[alt]');
-                let altText = img ? img.getAttribute('alt') || '' : '';
-
-                // Parse alt text: "description #hashtags  created by AuthorName with SoundName"
-                let description = altText;
-                let author = '';
-
-                // Extract author from "created by X with" pattern
-                const createdByMatch = altText.match(/\s{2,}created by\s+(.+?)(?:\s+with\s+|$)/i);
-                if (createdByMatch) {
-                    author = '@' + createdByMatch[1].trim();
-                    // Remove the "created by..." part from description
-                    description = altText.substring(0, altText.indexOf(createdByMatch[0])).trim();
-                }
+    // A random device, localized to the region being scraped
+    const { geolocation, ...regionLocale } = getRegionContextOptions(region, lang);
+    const profile = localizeProfile(createProfile(), regionLocale);
 
-                // If no "created by" pattern, try to extract author from URL
-                if (!author) {
-                    const authorMatch = href.match(/@([^/]+)/);
-                    if (authorMatch) author = '@' + authorMatch[1];
-                }
+    const contextOptions = {
+        ...toContextOptions(profile),
+        geolocation,
+        permissions: ['geolocation'],
+    };
 
-                // Also try to get description from search-card-video-caption (works in non-headless)
-                const captionEl = card.querySelector('[data-e2e="search-card-video-caption"]');
-                if (captionEl && captionEl.textContent.trim()) {
-                    description = captionEl.textContent.trim();
-                }
+    // Rotate through the proxy pool: a different exit IP per scrape
+    const proxy = nextProxy();
+    if (proxy) contextOptions.proxy = proxy.playwright;
+    const via = proxy ? proxy.label : 'direct';
 
-                // Try to get author from search-card-user-unique-id
-                const authorEl = card.querySelector('[data-e2e="search-card-user-unique-id"]');
-                if (authorEl && authorEl.textContent.trim()) {
-                    author = '@' + authorEl.textContent.trim().replace(/^@/, '');
-                }
+    try {
+        const result = await withContext(contextOptions, async (context) => {
+            // Stealth overrides (every page in this context)
+            await applyProfile(context, profile);
+            const page = await context.newPage();
 
-                // Extract hashtags from search-common-link elements
-                const hashtagEls = card.querySelectorAll('[data-e2e="search-common-link"]');
-                const cardHashtags = [];
-                hashtagEls.forEach((el) => {
-                    const text = (el.textContent || '').trim();
-                    if (text.startsWith('#')) cardHashtags.push(text.toLowerCase());
+            // Any 429 from TikTok means we are being rate limited
+            let rateLimited = false;
+            page.on('response', (response) => {
+                if (response.status() === 429 && /tiktok\.com/.test(response.url())) rateLimited = true;
+            });
+
+            // Capture item-list XHRs (id -> raw item, in arrival order)
+            const apiItems = new Map();
+            if (extraction !== 'dom') {
+                page.on('response', async (response) => {
+                    if (!isItemListResponse(response.url())) return;
+                    try {
+                        const items = extractItems(await response.json());
+                        items.forEach((item) => {
+                            if (item && item.id && !apiItems.has(String(item.id))) apiItems.set(String(item.id), item);
+                        });
+                    } catch {
+                        // Body not JSON or page already closed
+                    }
                 });
+            }
+
+            console.log(`[Scraper] Navigating to: ${url} (region: ${region}, lang: ${lang}, profile: ${profile.id}, proxy: ${via})`);
+            onProgress(10, `Opening TikTok ${label}`);
 
-                results.push({ description, author, views, url, hashtags: cardHashtags });
+            const response = await page.goto(url, {
+                waitUntil: 'networkidle',
+                timeout: config.requestTimeout,
             });
+            if (response && response.status() === 429) throw new RateLimitError();
 
-            return results;
-        });
+            await delay(4000, 6000);
+
+            // Dismiss modals
+            await dismissModals(page);
 
-        console.log(`[Scraper] Found ${videos.length} video entries`);
+            // No videos at all: a captcha, rate limit, login wall or "no results" page?
+            const assertNotBlocked = async () => {
+                const blocked = await detectPageState(page);
+                if (blocked) throw blocked;
+                if (rateLimited) throw new RateLimitError();
+            };
 
-        // Post-process
-        const processed = videos.slice(0, limit).map((v) => {
-            // Strip "created by X with Y" suffix from alt-text extracted descriptions
-            let desc = v.description;
-            const createdIdx = desc.search(/\s{1,}created by\s+/i);
-            if (createdIdx > 0) {
-                desc = desc.substring(0, createdIdx).trim();
+            // Wait for video cards (any alternative in the selector registry)
+            const cardMatch = await resolveSelector(page, cardKey, { timeout: 15000 });
+            const cardSelector = cardMatch ? cardMatch.selector : getAlternatives(cardKey)[0];
+            if (cardMatch) {
+                console.log(`[Scraper] Found ${cardSelector} elements`);
+            } else {
+                if (apiItems.size === 0) await assertNotBlocked();
+                console.log(`[Scraper] ${cardKey} not found, trying fallback...`);
             }
 
-            const descHashtags = extractHashtags(desc);
-            const allHashtags = [...new Set([...(v.hashtags || []), ...descHashtags])];
+            // Fields read inside each card (registry alternatives, resolved once)
+            const fieldSelectors = {
+                videoLink: await selectorFor(page, 'tiktok.videoLink'),
+                videoViews: await selectorFor(page, 'tiktok.videoViews'),
+            };
 
-            return {
-                description: cleanText(desc),
-                author: v.author || '',
-                hashtags: allHashtags,
+            const stats = await readStats(page);
+
+            // DOM cards seen so far (id -> card); merged after every scroll
+            // so cards recycled out of the grid are not lost
+            const domCards = new Map();
+            const collectDomCards = async () => {
+                if (extraction === 'api') return;
+                const cards = await extractVideoCards(page, cardSelector, fieldSelectors);
+                cards.forEach((card) => {
+                    const id = extractVideoId(card.url) || card.url;
+                    if (!domCards.has(id)) domCards.set(id, card);
+                });
             };
-        });
 
-        console.log(`[Scraper] Processed ${processed.length} videos`);
-        return processed;
+            // DOM cards no item-list XHR delivered (e.g. the server-rendered first page)
+            const domOnlyCards = () => Array.from(domCards.entries())
+                .filter(([id]) => !apiItems.has(id))
+                .map(([, card]) => card);
+            // Everything that can be returned: API items plus those DOM-only cards
+            const countUnique = () => apiItems.size + domOnlyCards().length;
+
+            // Scroll until `limit` unique videos are loaded or we run out of budget
+            onProgress(30, 'Loading more results');
+            const pagination = await scrollUntilLimit(page, {
+                limit,
+                collect: collectDomCards,
+                countUnique,
+                onProgress,
+            });
+            if (apiItems.size === 0 && domCards.size === 0) {
+                await assertNotBlocked();
+                console.log('[Scraper] No videos found and no bot wall recognised');
+            }
+            if (pagination.truncated) {
+                console.log(`[Scraper] Stopped early (${pagination.truncatedReason}) with ${countUnique()}/${limit} videos`);
+            }
+
+            // Structured JSON first
+            if (apiItems.size > 0) {
+                const fromApi = Array.from(apiItems.values()).slice(0, limit).map(normalizeApiItem);
+                const fromDom = domOnlyCards().slice(0, limit - fromApi.length).map(normalizeVideo);
+                const processed = [...fromApi, ...fromDom];
+                console.log(`[Scraper] Built ${processed.length} videos from ${apiItems.size} API items and ${fromDom.length} DOM-only cards`);
+                onProgress(90, `Found ${processed.length} videos`);
+                return { videos: processed, stats, extractionMethod: 'api', ...pagination };
+            }
+            if (extraction === 'api') {
+                throw new UpstreamChangedError('No item-list API responses were captured');
+            }
+            if (extraction === 'auto') {
+                console.log('[Scraper] No API responses captured, falling back to DOM parsing');
+            }
+
+            console.log(`[Scraper] Found ${domCards.size} video entries`);
+            onProgress(70, `Found ${domCards.size} videos`);
+
+            const selected = Array.from(domCards.values()).slice(0, limit);
+
+            // Optionally open each video to read counts the card doesn't show
+            if (withDetails) {
+                for (const [index, v] of selected.entries()) {
+                    onProgress(70 + Math.round((index / selected.length) * 25), `Reading video ${index + 1}/${selected.length}`);
+                    try {
+                        const details = await scrapeVideoDetails(context, v.url);
+                        v.likes = v.likes || details.likes;
+                        v.comments = v.comments || details.comments;
+                        v.shares = v.shares || details.shares;
+                        v.postedAtText = v.postedAtText || details.postedAtText;
+                    } catch (err) {
+                        console.log(`[Scraper] Detail page failed for ${v.url}: ${err.message}`);
+                    }
+                    await delay(1000, 2000);
+                }
+            }
+
+            // Post-process
+            const processed = selected.map(normalizeVideo);
+
+            console.log(`[Scraper] Processed ${processed.length} videos`);
+            return { videos: processed, stats, extractionMethod: 'dom', ...pagination };
+        });
+        reportProxy(proxy, true);
+        console.log(`[Scraper] ${result.videos.length} videos from ${label} served via ${via}`);
+        return result;
     } catch (error) {
-        console.error(`[Scraper] Error:`, error.message);
-        throw new Error(`Scraping failed: ${error.message}`);
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
+        reportProxy(proxy, false, error);
+        console.error(`[Scraper] Error (proxy: ${via}):`, error.message);
+        // Keep the type so routes can answer with the right status
+        if (error instanceof AppError) throw error;
+        if (error.name === 'TimeoutError') throw new TimeoutError(`Scraping failed: ${error.message}`);
+        throw new UpstreamError(`Scraping failed: ${error.message}`);
     }
 }
 
-module.exports = { scrapeTikTokSearch };
+// ─── Keyword Search ───────────────────────────────────────
+/**
+ * Scrape TikTok search results for a given keyword
+ * @param {string} keyword - Search keyword
+ * @param {object} options - { limit, withDetails, region, lang, extraction, onProgress: (percent, message) => void }
+ * @returns {Promise<{ videos: Array, extractionMethod: 'api'|'dom', truncated: boolean, truncatedReason: string|null }>}
+ */
+async function scrapeTikTokSearch(keyword, options = {}) {
+    const searchUrl = `https://www.tiktok.com/search?q=${encodeURIComponent(keyword)}`;
+    const { stats, ...result } = await scrapeVideoPage(searchUrl, {
+        ...options,
+        cardKey: 'tiktok.searchCard',
+        label: 'search',
+    });
+    return result;
+}
+
+// ─── Hashtag (Tag) Page ───────────────────────────────────
+/**
+ * Scrape https://www.tiktok.com/tag/<hashtag>
+ * @param {string} tag - Hashtag with or without the leading #
+ * @param {object} options - Same as scrapeTikTokSearch
+ * @returns {Promise<{ hashtag: object, videos: Array, extractionMethod: 'api'|'dom', truncated: boolean, truncatedReason: string|null }>}
+ */
+async function scrapeTikTokHashtag(tag, options = {}) {
+    const name = tag.replace(/^#/, '').trim().toLowerCase();
+    const url = `https://www.tiktok.com/tag/${encodeURIComponent(name)}`;
+
+    const { stats, ...result } = await scrapeVideoPage(url, {
+        ...options,
+        cardKey: 'tiktok.hashtagCard',
+        label: `tag #${name}`,
+        readStats: async (page) => {
+            const data = await readRehydrationData(page, 'webapp.challenge-detail');
+            const info = (data && data.challengeInfo) || {};
+            const challenge = info.challenge || {};
+            const counts = info.statsV2 || info.stats || {};
+
+            // DOM fallback, e.g. "1.2M posts"
+            const countText = await page
+                .locator('[data-e2e="challenge-vvcount"]')
+                .first()
+                .textContent({ timeout: 3000 })
+                .catch(() => '');
+
+            return {
+                tag: `#${name}`,
+                id: challenge.id || null,
+                title: challenge.title || name,
+                description: challenge.desc || null,
+                totalPosts: counts.videoCount
+                    ? Number(counts.videoCount)
+                    : /post|video/i.test(countText) ? parseCount(countText.split(/\s/)[0]) : null,
+                totalViews: counts.viewCount
+                    ? Number(counts.viewCount)
+                    : /view/i.test(countText) ? parseCount(countText.split(/\s/)[0]) : null,
+            };
+        },
+    });
+
+    return { hashtag: stats, ...result };
+}
+
+// ─── Creator Profile ──────────────────────────────────────
+/**
+ * Scrape https://www.tiktok.com/@<user>
+ * @param {string} handle - Username with or without the leading @
+ * @param {object} options - Same as scrapeTikTokSearch
+ * @returns {Promise<{ creator: object, videos: Array, extractionMethod: 'api'|'dom', truncated: boolean, truncatedReason: string|null }>}
+ */
+async function scrapeTikTokCreator(handle, options = {}) {
+    const username = handle.replace(/^@/, '').trim();
+    const url = `https://www.tiktok.com/@${encodeURIComponent(username)}`;
+
+    const { stats, ...result } = await scrapeVideoPage(url, {
+        ...options,
+        cardKey: 'tiktok.creatorCard',
+        label: `creator @${username}`,
+        readStats: async (page) => {
+            const data = await readRehydrationData(page, 'webapp.user-detail');
+            const info = (data && data.userInfo) || {};
+            const user = info.user || {};
+            const counts = info.statsV2 || info.stats || {};
+
+            // DOM fallback for the counters shown under the profile header
+            const domCount = async (e2e) => {
+                const text = await page
+                    .locator(`[data-e2e="${e2e}"]`)
+                    .first()
+                    .textContent({ timeout: 3000 })
+                    .catch(() => '');
+                return text ? parseCount(text) : null;
+            };
+            const pick = async (value, e2e) => (value !== undefined ? Number(value) : domCount(e2e));
+
+            return {
+                handle: `@${user.uniqueId || username}`,
+                id: user.id || null,
+                nickname: user.nickname || null,
+                bio: user.signature || null,
+                verified: Boolean(user.verified),
+                followerCount: await pick(counts.followerCount, 'followers-count'),
+                followingCount: await pick(counts.followingCount, 'following-count'),
+                likeCount: await pick(counts.heartCount, 'likes-count'),
+                videoCount: counts.videoCount !== undefined ? Number(counts.videoCount) : null,
+            };
+        },
+    });
+
+    return { creator: stats, ...result };
+}
+
+module.exports = {
+    scrapeTikTokSearch,
+    scrapeTikTokHashtag,
+    scrapeTikTokCreator,
+    REGIONS,
+    LANGUAGES,
+    EXTRACTION_MODES,
+    // Used by the diagnostics canary
+    getRegionContextOptions,
+    dismissModals,
+    detectPageState,
+};
@@ -1,33 +1,59 @@
 const express = require('express');
 const cors = require('cors');
 const config = require('./config');
-const { scrapeTikTokSearch } = require('./scraper/tiktokScraper');
-const { scrapeKeywords, PLATFORM_URLS } = require('./scraper/keywordToolScraper');
-const { analyzeTrends } = require('./analyzer/trendAnalyzer');
+const { PLATFORM_URLS } = require('./scraper/keywordToolScraper');
+const { closeAll: closeBrowserPool, getPoolStats } = require('./scraper/browserPool');
+const { getAccountsStatus } = require('./scraper/accountManager');
+const { getProxyStats } = require('./scraper/proxyPool');
+const { runDiagnostics, DIAGNOSTIC_SOURCES } = require('./scraper/diagnostics');
+const { detectEmerging } = require('./analyzer/emergingDetector');
+const { getSnapshots, getHistory } = require('./store/historyStore');
+const {
+    runTrending,
+    runSearch,
+    runHashtag,
+    runCreator,
+    runKeywords,
+} = require('./services/scrapeService');
+const { normalizeKeywordList, runTrendingBatch } = require('./services/batchService');
+const { runKeywordsCompare } = require('./services/compareService');
+const responseCache = require('./cache/responseCache');
+const { createJob, getJob, serializeJob, getJobTypes, getQueueStats } = require('./jobs/jobQueue');
+const { ValidationError, NotFoundError, MESSAGE_LANGUAGES, toAppError, toErrorBody } = require('./utils/errors');
+const {
+    parseLimit,
+    requireKeyword,
+    validateTikTokOptions,
+    validateRankBy,
+    validateKeywordToolOptions,
+    parseKeywordFilters,
+    validateKeywordList,
+} = require('./utils/validators');
+require('./jobs/jobTypes');
+
+// ─── Startup Config Check ─────────────────────────────────
+config.accountConfig.warnings.forEach((warning) => console.warn(`[Config] ${warning}`));
+if (config.accountConfig.errors.length > 0) {
+    console.error(`[Config] Invalid KeywordTool account configuration (${config.accountConfig.source}):`);
+    config.accountConfig.errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+}
+console.log(`[Config] ${config.keywordToolAccounts.length} KeywordTool account(s) loaded from ${config.accountConfig.source}`);
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-// ─── Simple In-Memory Cache ───────────────────────────────
-const cache = new Map();
-
-function getCacheKey(keyword, limit) {
-    return `${keyword.toLowerCase().trim()}:${limit}`;
-}
+// ─── Async Routes ─────────────────────────────────────────
+// Express 4 does not catch rejected promises: hand them to the error handler
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
 
-function getFromCache(key) {
-    const entry = cache.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > config.cacheTTL) {
-        cache.delete(key);
-        return null;
+function parseDate(value, name) {
+    const date = value ? new Date(value) : null;
+    if (date && isNaN(date)) {
+        throw new ValidationError(`Invalid date in ${name} (use ISO 8601, e.g. 2026-01-31 or 2026-01-31T12:00:00Z)`);
     }
-    return entry.data;
-}
-
-function setCache(key, data) {
-    cache.set(key, { data, timestamp: Date.now() });
+    return date;
 }
 
 // ─── Health Check ─────────────────────────────────────────
@@ -36,196 +62,429 @@ app.get('/health', (req, res) => {
         status: 'ok',
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
+        browserPool: getPoolStats(),
+        jobs: getQueueStats(),
+        cache: responseCache.getCacheStats(),
+        proxies: getProxyStats(),
     });
 });
 
 // ─── GET /api/trending ────────────────────────────────────
 // Main endpoint: scrape + analyze trending themes
-app.get('/api/trending', async (req, res) => {
-    try {
-        const { keyword, limit = '20' } = req.query;
+app.get('/api/trending', asyncRoute(async (req, res) => {
+    const usage = 'GET /api/trending?keyword=honor+of+kings&limit=20&rankBy=views';
+    const {
+        keyword,
+        limit = '20',
+        details,
+        rankBy = 'count',
+        region,
+        lang,
+        extraction = 'auto',
+        refresh = 'false',
+    } = req.query;
+
+    requireKeyword(keyword, usage);
+    validateRankBy(rankBy, usage);
+    validateTikTokOptions({ region, lang, extraction }, 'GET /api/trending?keyword=honor+of+kings&region=ID&lang=id');
+
+    const parsedLimit = parseLimit(limit);
+    // Detail pages (one per video) are opt-in: item-list extraction already has the counts
+    const withDetails = details === 'true';
+
+    const result = await runTrending(keyword, {
+        limit: parsedLimit,
+        withDetails,
+        rankBy,
+        region,
+        lang,
+        extraction,
+        refresh: refresh === 'true',
+    });
 
-        if (!keyword || keyword.trim().length === 0) {
-            return res.status(400).json({
-                error: 'Missing required parameter: keyword',
-                usage: 'GET /api/trending?keyword=honor+of+kings&limit=20',
-            });
-        }
+    responseCache.sendCached(req, res, result);
+}));
 
-        const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
-        const cacheKey = getCacheKey(keyword, parsedLimit);
+// ─── GET /api/trending/history ────────────────────────────
+// How hashtag/keyword counts changed across saved snapshots
+app.get('/api/trending/history', (req, res) => {
+    const { keyword, from, to, region = 'US' } = req.query;
 
-        // Check cache
-        const cached = getFromCache(cacheKey);
-        if (cached) {
-            console.log(`[API] Cache hit for "${keyword}"`);
-            return res.json({ ...cached, fromCache: true });
-        }
+    requireKeyword(keyword, 'GET /api/trending/history?keyword=honor+of+kings&from=2026-01-01&to=2026-02-01');
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    validateTikTokOptions({ region }, 'GET /api/trending/history?keyword=honor+of+kings&region=ID');
 
-        console.log(`[API] Scraping TikTok for: "${keyword}" (limit: ${parsedLimit})`);
-        const startTime = Date.now();
+    const history = getHistory(keyword, { from: fromDate, to: toDate, region });
 
-        // Scrape TikTok
-        const videos = await scrapeTikTokSearch(keyword, { limit: parsedLimit });
-
-        // Analyze trends
-        const analysis = analyzeTrends(videos, keyword);
+    res.json({
+        ...history,
+        from: fromDate ? fromDate.toISOString() : null,
+        to: toDate ? toDate.toISOString() : null,
+    });
+});
 
-        const result = {
-            keyword: keyword.trim(),
-            scrapedAt: new Date().toISOString(),
-            scrapeDurationMs: Date.now() - startTime,
-            totalVideosAnalyzed: videos.length,
-            ...analysis,
-        };
+// ─── GET /api/trending/emerging ───────────────────────────
+// New, accelerating and declining hashtags/keywords vs earlier snapshots
+app.get('/api/trending/emerging', asyncRoute(async (req, res) => {
+    const { keyword, limit = '20', from, region = 'US', lang, scrape = 'true' } = req.query;
 
-        // Cache result
-        setCache(cacheKey, result);
+    requireKeyword(keyword, 'GET /api/trending/emerging?keyword=honor+of+kings&limit=20');
+    const fromDate = parseDate(from, 'from');
+    validateTikTokOptions({ region, lang }, 'GET /api/trending/emerging?keyword=honor+of+kings&region=ID');
 
-        res.json(result);
-    } catch (error) {
-        console.error('[API] /api/trending error:', error.message);
-        res.status(500).json({
-            error: 'Failed to scrape trending data',
-            message: error.message,
-        });
+    // Take a current snapshot first unless the caller only wants stored history
+    if (scrape !== 'false') {
+        const parsedLimit = parseLimit(limit);
+        await runTrending(keyword, { limit: parsedLimit, region, lang });
     }
-});
+
+    const snapshots = getSnapshots(keyword, { from: fromDate, region });
+
+    res.json({
+        keyword: keyword.trim(),
+        region,
+        analyzedAt: new Date().toISOString(),
+        ...detectEmerging(snapshots),
+    });
+}));
+
+// ─── POST /api/trending/batch ─────────────────────────────
+// /api/trending for many keywords at once, plus a cross-keyword rollup
+app.post('/api/trending/batch', asyncRoute(async (req, res) => {
+    const usage = 'POST /api/trending/batch {"keywords":["honor of kings","mobile legends"],"limit":20,"rankBy":"views"}';
+    const {
+        keywords,
+        limit,
+        details,
+        rankBy = 'count',
+        region,
+        lang,
+        extraction = 'auto',
+        refresh = false,
+    } = req.body || {};
+
+    validateKeywordList(keywords, usage);
+    validateRankBy(rankBy, usage);
+    validateTikTokOptions({ region, lang, extraction }, usage);
+
+    const parsedLimit = parseLimit(limit);
+    const withDetails = details === true || details === 'true';
+
+    const batch = await runTrendingBatch(normalizeKeywordList(keywords), {
+        limit: parsedLimit,
+        withDetails,
+        rankBy,
+        region,
+        lang,
+        extraction,
+        refresh: refresh === true || refresh === 'true',
+    });
+
+    res.json({ region: region || 'US', rankBy, ...batch });
+}));
 
 // ─── GET /api/search ──────────────────────────────────────
 // Raw search results without trend analysis
-app.get('/api/search', async (req, res) => {
-    try {
-        const { keyword, limit = '20' } = req.query;
+app.get('/api/search', asyncRoute(async (req, res) => {
+    const {
+        keyword,
+        limit = '20',
+        details = 'false',
+        region,
+        lang,
+        extraction = 'auto',
+        refresh = 'false',
+    } = req.query;
+
+    requireKeyword(keyword, 'GET /api/search?keyword=honor+of+kings&limit=20');
+    validateTikTokOptions({ region, lang, extraction }, 'GET /api/search?keyword=honor+of+kings&region=ID&lang=id');
+
+    const parsedLimit = parseLimit(limit);
+    const withDetails = details === 'true';
+
+    const result = await runSearch(keyword, {
+        limit: parsedLimit,
+        withDetails,
+        region,
+        lang,
+        extraction,
+        refresh: refresh === 'true',
+    });
 
-        if (!keyword || keyword.trim().length === 0) {
-            return res.status(400).json({
-                error: 'Missing required parameter: keyword',
-                usage: 'GET /api/search?keyword=honor+of+kings&limit=20',
-            });
+    responseCache.sendCached(req, res, result);
+}));
+
+// ─── GET /api/hashtag/:tag & /api/creator/:handle ─────────
+// Videos from a tag page or creator profile, plus tag/creator stats.
+// ?analyze=true adds the same trend analysis as /api/trending.
+function profileRoute(kind, run) {
+    return asyncRoute(async (req, res) => {
+        const name = kind === 'hashtag' ? req.params.tag : req.params.handle;
+        const usage = kind === 'hashtag'
+            ? 'GET /api/hashtag/honorofkings?limit=20&analyze=true&rankBy=views'
+            : 'GET /api/creator/honorofkings?limit=20&analyze=true';
+
+        const {
+            limit = '20',
+            details,
+            analyze = 'false',
+            rankBy = 'count',
+            region,
+            lang,
+            extraction = 'auto',
+            refresh = 'false',
+        } = req.query;
+
+        // Any script: letters plus combining marks (Thai vowels, Vietnamese tones), digits, _ and .
+        if (!name || !/^[#@]?[\p{L}\p{M}\p{N}_.]+$/u.test(name)) {
+            throw new ValidationError(`Invalid ${kind}: "${name}"`, { details: { usage } });
         }
+        validateRankBy(rankBy, usage);
+        validateTikTokOptions({ region, lang, extraction }, usage);
+
+        const parsedLimit = parseLimit(limit);
+        const withDetails = details === 'true';
+
+        const result = await run(name, {
+            limit: parsedLimit,
+            withDetails,
+            analyze: analyze === 'true',
+            rankBy,
+            region,
+            lang,
+            extraction,
+            refresh: refresh === 'true',
+        });
 
-        const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
-
-        console.log(`[API] Raw search for: "${keyword}" (limit: ${parsedLimit})`);
-        const startTime = Date.now();
-
-        const videos = await scrapeTikTokSearch(keyword, { limit: parsedLimit });
+        responseCache.sendCached(req, res, result);
+    });
+}
 
-        res.json({
-            keyword: keyword.trim(),
-            scrapedAt: new Date().toISOString(),
-            scrapeDurationMs: Date.now() - startTime,
-            totalResults: videos.length,
-            videos,
+app.get('/api/hashtag/:tag', profileRoute('hashtag', runHashtag));
+app.get('/api/creator/:handle', profileRoute('creator', runCreator));
+
+// ─── GET /api/keywords/compare ────────────────────────────
+// One keyword across several platforms, aligned into a single table.
+// Must be registered before /api/keywords/:platform.
+app.get('/api/keywords/compare', asyncRoute(async (req, res) => {
+    const usage = 'GET /api/keywords/compare?keyword=hok+skin&platforms=google,youtube,tiktok';
+    const {
+        keyword,
+        platforms = 'google,youtube,tiktok',
+        tab = 'suggestions',
+        language = 'id',
+        country,
+        refresh = 'false',
+    } = req.query;
+
+    requireKeyword(keyword, usage);
+
+    // "google,youtube" or a repeated ?platforms=google&platforms=youtube
+    const platformValues = Array.isArray(platforms) ? platforms : [platforms];
+    if (!platformValues.every((value) => typeof value === 'string')) {
+        throw new ValidationError('platforms must be a comma-separated list', {
+            details: { validPlatforms: Object.keys(PLATFORM_URLS), usage },
         });
-    } catch (error) {
-        console.error('[API] /api/search error:', error.message);
-        res.status(500).json({
-            error: 'Failed to scrape search data',
-            message: error.message,
+    }
+    const platformList = [...new Set(platformValues.join(',').split(',').map((p) => p.trim()).filter(Boolean))];
+    if (platformList.length < 2) {
+        throw new ValidationError('platforms needs at least two platforms', {
+            details: { validPlatforms: Object.keys(PLATFORM_URLS), usage },
         });
     }
-});
+    platformList.forEach((platform) => validateKeywordToolOptions({ platform, tab, language, country }, usage));
+
+    const result = await runKeywordsCompare(keyword, platformList, {
+        tab,
+        language,
+        country: country || null,
+        refresh: refresh === 'true',
+    });
+
+    res.json(result);
+}));
 
 // ─── GET /api/keywords/:platform ──────────────────────────
 // Scrape keyword research data from keywordtool.io
-app.get('/api/keywords/:platform', async (req, res) => {
-    try {
-        const { platform } = req.params;
-        const { keyword, tab = 'suggestions', minVolume = '0', maxVolume } = req.query;
-
-        // Validate platform
-        const validPlatforms = Object.keys(PLATFORM_URLS);
-        if (!validPlatforms.includes(platform)) {
-            return res.status(400).json({
-                error: `Invalid platform: "${platform}"`,
-                validPlatforms,
-                usage: 'GET /api/keywords/google?keyword=<term>&minVolume=50&maxVolume=200',
-            });
-        }
-
-        // Validate keyword
-        if (!keyword || keyword.trim().length === 0) {
-            return res.status(400).json({
-                error: 'Missing required parameter: keyword',
-                usage: 'GET /api/keywords/google?keyword=lny+hok+2026&minVolume=50&maxVolume=200',
-            });
-        }
+app.get('/api/keywords/:platform', asyncRoute(async (req, res) => {
+    const { platform } = req.params;
+    const {
+        keyword,
+        tab = 'suggestions',
+        language = 'id',
+        country,
+        refresh = 'false',
+    } = req.query;
+
+    // Validate platform/language/location, keyword and filters
+    validateKeywordToolOptions({ platform, tab, language, country });
+    requireKeyword(keyword, 'GET /api/keywords/google?keyword=lny+hok+2026&minVolume=50&maxVolume=200');
+    const filters = parseKeywordFilters(
+        req.query,
+        'GET /api/keywords/google?keyword=<term>&minVolume=50&minTrend=10&maxCompetition=40&sortBy=trend',
+    );
+
+    // Login, OTP and account errors carry their own status (401, 503, ...)
+    const result = await runKeywords(keyword, {
+        platform,
+        tab,
+        ...filters,
+        language,
+        country: country || null,
+        refresh: refresh === 'true',
+    });
 
-        const parsedMinVolume = Math.max(parseInt(minVolume, 10) || 0, 0);
-        const parsedMaxVolume = maxVolume ? parseInt(maxVolume, 10) || Infinity : Infinity;
+    responseCache.sendCached(req, res, result);
+}));
+
+// ─── POST /api/keywords/:platform/batch ───────────────────
+// /api/keywords/:platform for many seed keywords, plus a rollup of shared ideas.
+// One KeywordTool scrape at a time takes minutes per batch, so this queues a
+// "keywords-batch" job; poll GET /api/jobs/:id for the result
+app.post('/api/keywords/:platform/batch', (req, res) => {
+    const usage = 'POST /api/keywords/google/batch {"keywords":["hok","mlbb"],"minVolume":50,"language":"id"}';
+    const { platform } = req.params;
+    const {
+        keywords,
+        tab = 'suggestions',
+        language = 'id',
+        country,
+    } = req.body || {};
+
+    validateKeywordToolOptions({ platform, tab, language, country }, usage);
+    validateKeywordList(keywords, usage);
+    parseKeywordFilters(req.body, usage);
+
+    const { job, deduplicated } = createJob('keywords-batch', { ...req.body, platform });
+
+    res.status(202).json({
+        ...serializeJob(job),
+        deduplicated,
+        statusUrl: `/api/jobs/${job.id}`,
+    });
+});
 
+// ─── POST /api/jobs ───────────────────────────────────────
+// Queue a scrape in the background; poll GET /api/jobs/:id for the result
+app.post('/api/jobs', (req, res) => {
+    const { type, params = {} } = req.body || {};
+    const usage = 'POST /api/jobs {"type":"trending","params":{"keyword":"honor of kings","limit":20}}';
 
+    if (!type) {
+        throw new ValidationError('Missing required field: type', {
+            details: { validTypes: getJobTypes(), usage },
+        });
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new ValidationError('Invalid field: params must be an object', { details: { usage } });
+    }
 
-        console.log(`[API] Scraping keywordtool.io for: "${keyword}" on ${platform} (volume: ${parsedMinVolume}-${parsedMaxVolume === Infinity ? '∞' : parsedMaxVolume})`);
-        const startTime = Date.now();
+    const { job, deduplicated } = createJob(type, params);
 
-        const result = await scrapeKeywords(keyword, {
-            platform,
-            tab,
-            minVolume: parsedMinVolume,
-            maxVolume: parsedMaxVolume,
-        });
+    res.status(202).json({
+        ...serializeJob(job),
+        deduplicated,
+        statusUrl: `/api/jobs/${job.id}`,
+    });
+});
 
-        const response = {
-            keyword: keyword.trim(),
-            platform,
-            tab,
-            scrapedAt: new Date().toISOString(),
-            scrapeDurationMs: Date.now() - startTime,
-            ...result,
-            isSuccess: true,
-        };
+// ─── GET /api/jobs/:id ────────────────────────────────────
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) throw new NotFoundError(`Job not found: "${req.params.id}"`);
+    res.json(serializeJob(job));
+});
 
+// ─── GET /api/accounts/status ─────────────────────────────
+// KeywordTool account health, cooldowns and locks (no passwords)
+app.get('/api/accounts/status', (req, res) => {
+    const accounts = getAccountsStatus();
+    res.json({
+        total: accounts.length,
+        available: accounts.filter((a) => a.status === 'available').length,
+        inUse: accounts.filter((a) => a.status === 'in_use').length,
+        coolingDown: accounts.filter((a) => a.status === 'cooldown').length,
+        accounts,
+    });
+});
 
+// ─── GET /api/diagnostics ─────────────────────────────────
+// Canary scrape per source: which registry selectors still match; 503 when any step failed
+app.get('/api/diagnostics', asyncRoute(async (req, res) => {
+    const { source } = req.query;
+    const sources = source
+        ? [...new Set(source.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean))]
+        : DIAGNOSTIC_SOURCES;
+
+    const invalid = sources.filter((s) => !DIAGNOSTIC_SOURCES.includes(s));
+    if (invalid.length > 0 || sources.length === 0) {
+        throw new ValidationError(`Invalid source: "${invalid.join(', ')}"`, {
+            details: { validSources: DIAGNOSTIC_SOURCES, usage: 'GET /api/diagnostics?source=tiktok,keywordtool' },
+        });
+    }
 
-        res.json(response);
-    } catch (error) {
-        console.error('[API] /api/keywords error:', error.message);
+    const report = await runDiagnostics(sources);
+    res.status(report.healthy ? 200 : 503).json(report);
+}));
 
-        // Return appropriate status code based on error type
-        let statusCode = 500;
-        if (error.message.includes('Login gagal')) statusCode = 401;
-        if (error.message.includes('OTP') || error.message.includes('verifikasi')) statusCode = 503;
+// ─── DELETE /api/cache ────────────────────────────────────
+// Optional filters: ?route=trending|search|hashtag|creator|keywords&pattern=<glob on cache key>
+app.delete('/api/cache', (req, res) => {
+    const { route, pattern } = req.query;
+    const validRoutes = ['trending', 'search', 'hashtag', 'creator', 'keywords'];
 
-        res.status(statusCode).json({
-            error: 'Failed to scrape keyword data',
-            message: error.message,
-            isSuccess: false,
+    if (route && !validRoutes.includes(route)) {
+        throw new ValidationError(`Invalid route: "${route}"`, {
+            details: { validRoutes, usage: 'DELETE /api/cache?route=keywords&pattern=keywords:google:*' },
         });
     }
-});
 
-// ─── GET /api/cache/clear ─────────────────────────────────
-app.delete('/api/cache', (req, res) => {
-    const size = cache.size;
-    cache.clear();
-    res.json({ message: `Cache cleared. ${size} entries removed.` });
+    const removed = responseCache.clear({ route, pattern });
+    res.json({ message: `Cache cleared. ${removed.length} entries removed.`, removed });
 });
 
 // ─── 404 Handler ──────────────────────────────────────────
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Not found',
-        availableEndpoints: [
-            'GET /health',
-            'GET /api/trending?keyword=<search_term>&limit=<number>',
-            'GET /api/search?keyword=<search_term>&limit=<number>',
-            'GET /api/keywords/:platform?keyword=<term>&minVolume=<min>&maxVolume=<max>',
-            'DELETE /api/cache',
-        ],
-    });
+app.use((req, res, next) => {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`, {
+        details: {
+            availableEndpoints: [
+                'GET /health',
+                'GET /api/trending?keyword=<search_term>&limit=<number>&rankBy=<count|views|engagement>&region=<US|ID|MY|...>&lang=<en|id|...>&extraction=<auto|api|dom>&details=<true|false>&refresh=<true|false>',
+                'GET /api/trending/history?keyword=<search_term>&from=<iso_date>&to=<iso_date>&region=<region>',
+                'GET /api/trending/emerging?keyword=<search_term>&limit=<number>&from=<iso_date>&region=<region>&scrape=<true|false>',
+                'POST /api/trending/batch {keywords: [...], limit, rankBy, region, lang, extraction, details, refresh}',
+                'GET /api/search?keyword=<search_term>&limit=<number>&region=<region>&lang=<lang>&extraction=<auto|api|dom>&details=<true|false>&refresh=<true|false>',
+                'GET /api/hashtag/:tag?limit=<number>&analyze=<true|false>&rankBy=<mode>&region=<region>',
+                'GET /api/creator/:handle?limit=<number>&analyze=<true|false>&rankBy=<mode>&region=<region>',
+                'GET /api/keywords/compare?keyword=<term>&platforms=<google,youtube,tiktok,...>&language=<lang>&country=<country>&refresh=<true|false>',
+                'GET /api/keywords/:platform?keyword=<term>&minVolume=<min>&maxVolume=<max>&minTrend=<percent>&maxCompetition=<0-100>&sortBy=<volume|trend|cpc|competition|keyword>&tab=<suggestions|questions|prepositions|related|all|list>&language=<id|en|ms|th|...>&country=<ID|US|MY|TH|...>&refresh=<true|false>',
+                'POST /api/keywords/:platform/batch {keywords: [...], tab, minVolume, maxVolume, minTrend, maxCompetition, sortBy, language, country, refresh} (queues a job)',
+                'POST /api/jobs {type: trending|search|keywords|keywords-batch, params}',
+                'GET /api/jobs/:id',
+                'GET /api/accounts/status',
+                'GET /api/diagnostics?source=<tiktok,keywordtool>',
+                'DELETE /api/cache?route=<trending|search|hashtag|creator|keywords>&pattern=<glob>',
+            ],
+        },
+    }));
 });
 
 // ─── Error Handler ────────────────────────────────────────
+// Every error ends here and leaves in the same envelope (see utils/errors.js).
+// The message language follows Accept-Language (en or id).
 app.use((err, req, res, _next) => {
-    console.error('[API] Unhandled error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    const error = toAppError(err);
+    if (error.statusCode >= 500) {
+        console.error(`[API] ${req.method} ${req.path} error (${error.code}):`, error.code === 'internal_error' ? err : error.message);
+    }
+
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode).json(toErrorBody(error, req.acceptsLanguages(...MESSAGE_LANGUAGES) || 'en'));
 });
 
 // ─── Start Server ─────────────────────────────────────────
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║   TikTok Trending API + KeywordTool Scraper                ║
@@ -234,13 +493,46 @@ app.listen(config.port, () => {
 ║   Endpoints:                                               ║
 ║   GET /health                                              ║
 ║   GET /api/trending?keyword=<term>&limit=20                ║
+║       params: &rankBy=count|views|engagement&details=true   ║
+║               &region=ID&lang=id                           ║
+║   GET /api/trending/history?keyword=<term>&from=&to=       ║
+║   GET /api/trending/emerging?keyword=<term>                ║
+║   POST /api/trending/batch {keywords: [...]}               ║
 ║   GET /api/search?keyword=<term>&limit=20                  ║
+║   GET /api/hashtag/:tag    GET /api/creator/:handle        ║
+║   GET /api/keywords/compare?keyword=<term>&platforms=      ║
 ║   GET /api/keywords/:platform?keyword=<term>               ║
 ║       platforms: google,youtube,instagram,tiktok,trends     ║
 ║       params: &minVolume=50&maxVolume=200&tab=suggestions   ║
+║               &minTrend=10&maxCompetition=40&sortBy=trend  ║
+║               &language=id&country=ID                      ║
+║   POST /api/keywords/:platform/batch {keywords: [...]}     ║
+║   POST /api/jobs   GET /api/jobs/:id                       ║
+║   GET /api/accounts/status                                 ║
+║   GET /api/diagnostics?source=tiktok,keywordtool           ║
 ║   DELETE /api/cache                                        ║
 ╚════════════════════════════════════════════════════════════╝
   `);
 });
 
+// ─── Graceful Shutdown ────────────────────────────────────
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`[API] ${signal} received, shutting down...`);
+
+    server.close();
+    try {
+        await closeBrowserPool();
+    } catch (err) {
+        console.error('[API] Failed to close browser pool:', err.message);
+    }
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app;
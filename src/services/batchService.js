@@ -0,0 +1,187 @@
+const config = require('../config');
+const { analyzeTrends, countItems } = require('../analyzer/trendAnalyzer');
+const { saveSnapshot } = require('../store/historyStore');
+const { extractHashtags, mapWithConcurrency } = require('../utils/helpers');
+const { toAppError, toPublicDetail } = require('../utils/errors');
+const { runSearch, runKeywords, buildTrendingResult, toResponseBody } = require('./scrapeService');
+
+// ─── Helpers ──────────────────────────────────────────────
+// Trim, drop empties and case-insensitive duplicates (first spelling wins)
+function normalizeKeywordList(keywords) {
+    const seen = new Set();
+    return keywords
+        .map((keyword) => String(keyword || '').trim())
+        .filter((keyword) => {
+            const key = keyword.toLowerCase();
+            if (!keyword || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Run one scrape per keyword; a failure is recorded instead of failing the batch
+async function runEach(keywords, concurrency, run) {
+    return mapWithConcurrency(keywords, concurrency, async (keyword) => {
+        try {
+            return { keyword, isSuccess: true, ...(await run(keyword)) };
+        } catch (error) {
+            console.log(`[Batch] "${keyword}" failed: ${error.message}`);
+            // Blocked (captcha, rate limit, ...) vs no results: keep the code and retry hint
+            const typed = error.code ? { code: error.code, retryAfter: error.retryAfter ?? null } : {};
+            return { keyword, isSuccess: false, error: toPublicDetail(toAppError(error)), ...typed };
+        }
+    });
+}
+
+/**
+ * Items (hashtags or words) that show up for two or more seed keywords.
+ * @param {Array<{ keyword: string, items: Array }>} perKeyword
+ * @param {string} field - 'tag' or 'word'
+ */
+function findShared(perKeyword, field) {
+    const shared = new Map();
+    perKeyword.forEach(({ keyword, items }) => {
+        items.forEach((item) => {
+            const name = item[field];
+            if (!shared.has(name)) {
+                shared.set(name, { [field]: name, keywords: [], count: 0, totalViews: 0 });
+            }
+            const entry = shared.get(name);
+            entry.keywords.push(keyword);
+            entry.count += item.count || 0;
+            entry.totalViews += item.totalViews || 0;
+        });
+    });
+
+    return Array.from(shared.values())
+        .filter((entry) => entry.keywords.length > 1)
+        .sort((a, b) => b.keywords.length - a.keywords.length || b.count - a.count)
+        .slice(0, 20);
+}
+
+function summarizeBatch(results, startTime) {
+    const succeeded = results.filter((r) => r.isSuccess).length;
+    return {
+        totalKeywords: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        durationMs: Date.now() - startTime,
+    };
+}
+
+// ─── Trending Batch ───────────────────────────────────────
+/**
+ * Trend analysis for many seed keywords plus a cross-keyword rollup.
+ * Each keyword goes through the cached search route, so repeated batches
+ * reuse earlier scrapes; fresh scrapes are saved as history snapshots.
+ * @param {string[]} keywords
+ * @param {object} options - Same as runTrending
+ */
+async function runTrendingBatch(keywords, options = {}) {
+    const { rankBy = 'count' } = options;
+    const startTime = Date.now();
+    const videosByKeyword = new Map();
+
+    console.log(`[Batch] Trending for ${keywords.length} keywords`);
+    const results = await runEach(keywords, config.batch.concurrency.tiktok, async (keyword) => {
+        const search = await runSearch(keyword, options);
+        const { fromCache, ...body } = toResponseBody(search);
+        const result = buildTrendingResult(body, rankBy);
+
+        if (!fromCache) saveSnapshot(keyword, result, countItems(body.videos, result.keyword));
+        videosByKeyword.set(keyword, body.videos);
+
+        return { fromCache, result };
+    });
+
+    // Same video can rank for several seeds; count it once
+    const allVideos = new Map();
+    keywords.forEach((keyword) => {
+        (videosByKeyword.get(keyword) || []).forEach((video) => {
+            if (!allVideos.has(video.id || video.url)) allVideos.set(video.id || video.url, video);
+        });
+    });
+
+    const succeeded = results.filter((r) => r.isSuccess);
+    const rollup = {
+        totalUniqueVideos: allVideos.size,
+        sharedHashtags: findShared(
+            succeeded.map((r) => ({ keyword: r.keyword, items: r.result.trendingHashtags })),
+            'tag',
+        ),
+        sharedKeywords: findShared(
+            succeeded.map((r) => ({ keyword: r.keyword, items: r.result.trendingKeywords })),
+            'word',
+        ),
+        ...analyzeTrends(Array.from(allVideos.values()), keywords, { rankBy }),
+    };
+
+    return { ...summarizeBatch(results, startTime), results, rollup };
+}
+
+// ─── Keyword Research Batch ───────────────────────────────
+/**
+ * KeywordTool results for many seed keywords on one platform plus a rollup.
+ * The rollup runs analyzeTrends over the unique keyword ideas, treating each
+ * idea as a "video" whose views are its search volume.
+ * @param {string[]} keywords
+ * @param {object} options - Same as runKeywords; onProgress reports whole keywords done
+ */
+async function runKeywordsBatch(keywords, options = {}) {
+    const { onProgress = () => {}, ...scrapeOptions } = options;
+    const startTime = Date.now();
+    let done = 0;
+
+    console.log(`[Batch] Keywords (${options.platform}) for ${keywords.length} keywords`);
+    const results = await runEach(keywords, config.batch.concurrency.keywordtool, async (keyword) => {
+        try {
+            const { fromCache, ...result } = toResponseBody(await runKeywords(keyword, scrapeOptions));
+            return { fromCache, result };
+        } finally {
+            done++;
+            onProgress(Math.round((done / keywords.length) * 90), `Scraped ${done}/${keywords.length} keywords`);
+        }
+    });
+
+    // Unique ideas across seeds, remembering which seeds returned each one
+    const ideas = new Map();
+    results.filter((r) => r.isSuccess).forEach(({ keyword, result }) => {
+        result.keywords.forEach((kw) => {
+            const key = kw.keyword.toLowerCase().trim();
+            if (!ideas.has(key)) {
+                ideas.set(key, { keyword: kw.keyword, searchVolume: kw.searchVolume, trend: kw.trend, seeds: [] });
+            }
+            const idea = ideas.get(key);
+            idea.searchVolume = Math.max(idea.searchVolume, kw.searchVolume);
+            if (!idea.seeds.includes(keyword)) idea.seeds.push(keyword);
+        });
+    });
+
+    const asVideos = Array.from(ideas.values()).map((idea) => ({
+        id: idea.keyword,
+        url: null,
+        description: idea.keyword,
+        hashtags: extractHashtags(idea.keyword),
+        views: idea.searchVolume,
+    }));
+    const { trendingHashtags, trendingKeywords, themes } = analyzeTrends(asVideos, keywords, { rankBy: 'views' });
+
+    const rollup = {
+        totalUniqueKeywords: ideas.size,
+        sharedKeywords: Array.from(ideas.values())
+            .filter((idea) => idea.seeds.length > 1)
+            .sort((a, b) => b.seeds.length - a.seeds.length || b.searchVolume - a.searchVolume)
+            .slice(0, 50),
+        trendingHashtags,
+        trendingKeywords,
+        themes,
+    };
+
+    return { ...summarizeBatch(results, startTime), results, rollup };
+}
+
+module.exports = {
+    normalizeKeywordList,
+    runTrendingBatch,
+    runKeywordsBatch,
+};
@@ -0,0 +1,106 @@
+const config = require('../config');
+const { mapWithConcurrency } = require('../utils/helpers');
+const { runKeywords, toResponseBody } = require('./scrapeService');
+
+// ─── Helpers ──────────────────────────────────────────────
+// "#Skin  HOK" and "skin hok" are the same keyword across platforms
+function normalizeIdea(keyword) {
+    return keyword.toLowerCase().replace(/^#/, '').replace(/\s+/g, ' ').trim();
+}
+
+// Volume at the top-quartile cut-off of a platform's own list
+function strongThreshold(keywords) {
+    const volumes = keywords
+        .map((kw) => kw.searchVolume)
+        .filter((volume) => volume > 0)
+        .sort((a, b) => b - a);
+    if (volumes.length === 0) return Infinity;
+    return volumes[Math.max(Math.ceil(volumes.length / 4) - 1, 0)];
+}
+
+// ─── Cross-Platform Comparison ────────────────────────────
+/**
+ * Run one keyword through several KeywordTool platforms and align the results.
+ * A keyword is "strong" on a platform when its volume is in that platform's
+ * top quartile; strong keywords missing everywhere else are listed as gaps.
+ * @param {string} keyword
+ * @param {string[]} platforms - Keys of PLATFORM_URLS
+ * @param {object} options - tab, language, country, refresh (as runKeywords)
+ */
+async function runKeywordsCompare(keyword, platforms, options = {}) {
+    const startTime = Date.now();
+    console.log(`[Compare] "${keyword}" on ${platforms.join(', ')}`);
+
+    const runs = await mapWithConcurrency(platforms, config.batch.concurrency.keywordtool, async (platform) => {
+        try {
+            const { fromCache, ...result } = toResponseBody(await runKeywords(keyword, { ...options, platform }));
+            return { platform, isSuccess: true, fromCache, complete: result.complete, keywords: result.keywords };
+        } catch (error) {
+            console.log(`[Compare] ${platform} failed: ${error.message}`);
+            return { platform, isSuccess: false, error: error.message };
+        }
+    });
+    const succeeded = runs.filter((run) => run.isSuccess);
+
+    // One row per normalized keyword, one column per platform
+    const rows = new Map();
+    const thresholds = {};
+    succeeded.forEach(({ platform, keywords }) => {
+        thresholds[platform] = strongThreshold(keywords);
+        keywords.forEach((kw) => {
+            const key = normalizeIdea(kw.keyword);
+            if (!key) return;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    keyword: key,
+                    platforms: Object.fromEntries(platforms.map((p) => [p, null])),
+                    presentOn: [],
+                    totalSearchVolume: 0,
+                });
+            }
+            const row = rows.get(key);
+            if (row.platforms[platform]) return;
+            row.platforms[platform] = { searchVolume: kw.searchVolume, trend: kw.trend, trendPercent: kw.trendPercent ?? null };
+            row.presentOn.push(platform);
+            row.totalSearchVolume += kw.searchVolume;
+        });
+    });
+
+    const table = Array.from(rows.values()).sort((a, b) => b.totalSearchVolume - a.totalSearchVolume);
+
+    // Strong on exactly one platform and absent from every other platform that answered
+    const gaps = [];
+    if (succeeded.length > 1) {
+        table.forEach((row) => {
+            if (row.presentOn.length !== 1) return;
+            const platform = row.presentOn[0];
+            const { searchVolume } = row.platforms[platform];
+            if (searchVolume < thresholds[platform]) return;
+            gaps.push({
+                keyword: row.keyword,
+                strongOn: platform,
+                searchVolume,
+                missingOn: succeeded.map((run) => run.platform).filter((p) => p !== platform),
+            });
+        });
+    }
+
+    return {
+        keyword: keyword.trim(),
+        platforms,
+        comparedAt: new Date().toISOString(),
+        durationMs: Date.now() - startTime,
+        platformResults: runs.map(({ keywords, ...run }) => ({
+            ...run,
+            ...(keywords ? { totalKeywords: keywords.length, strongThreshold: thresholds[run.platform] } : {}),
+        })),
+        totalKeywords: table.length,
+        sharedAcrossAll: table.filter((row) => succeeded.length > 1 && row.presentOn.length === succeeded.length).length,
+        gaps,
+        table,
+    };
+}
+
+module.exports = {
+    runKeywordsCompare,
+};
@@ -0,0 +1,256 @@
+const {
+    scrapeTikTokSearch,
+    scrapeTikTokHashtag,
+    scrapeTikTokCreator,
+    REGIONS,
+} = require('../scraper/tiktokScraper');
+const { scrapeKeywords, resolveTabs } = require('../scraper/keywordToolScraper');
+const { analyzeTrends, countItems } = require('../analyzer/trendAnalyzer');
+const { saveSnapshot } = require('../store/historyStore');
+const responseCache = require('../cache/responseCache');
+
+// ─── Cache Keys ───────────────────────────────────────────
+function normalizeKeyword(keyword) {
+    return keyword.toLowerCase().trim();
+}
+
+// Shared by the TikTok routes: name + every option that changes the result
+function getVideoCacheKey(name, options) {
+    const { region, lang, limit, rankBy, withDetails, extraction } = options;
+    const parts = [normalizeKeyword(name), `${region}-${lang}`, limit];
+    if (rankBy) parts.push(rankBy);
+    if (withDetails) parts.push('details');
+    if (extraction !== 'auto') parts.push(extraction);
+    return parts.join(':');
+}
+
+// Region defaults to US; language defaults to the region's main language
+function resolveRegion(options) {
+    const region = options.region || 'US';
+    const lang = options.lang || (REGIONS[region] ? REGIONS[region].lang : 'en');
+    return { region, lang };
+}
+
+function getKeywordsCacheKey(keyword, platform, tab, filters, language, country) {
+    const { minVolume, maxVolume, minTrend, maxCompetition, sortBy } = filters;
+    const volume = `${minVolume}-${maxVolume === Infinity ? 'max' : maxVolume}`;
+    const parts = [platform, normalizeKeyword(keyword), tab, volume, language, country || 'default'];
+    if (minTrend !== null) parts.push(`trend>=${minTrend}`);
+    if (maxCompetition !== null) parts.push(`competition<=${maxCompetition}`);
+    if (sortBy) parts.push(`sort=${sortBy}`);
+    return parts.join(':');
+}
+
+// ─── Trending Pipeline ────────────────────────────────────
+// Search metadata + trend analysis of its videos (the /api/trending body)
+function buildTrendingResult(search, rankBy) {
+    const { videos, totalResults, ...meta } = search;
+    return {
+        ...meta,
+        totalVideosAnalyzed: videos.length,
+        ...analyzeTrends(videos, search.keyword, { rankBy }),
+    };
+}
+
+// Scrape + analyze with caching; every fresh result is saved as a snapshot.
+// Each run* function returns a cache entry: { data, etag, expiresAt, fromCache, ... }
+async function runTrending(keyword, options = {}) {
+    const {
+        limit = 20,
+        withDetails = false,
+        rankBy = 'count',
+        extraction = 'auto',
+        refresh = false,
+        onProgress = () => {},
+    } = options;
+    const { region, lang } = resolveRegion(options);
+    const cacheKey = getVideoCacheKey(keyword, { region, lang, limit, rankBy, withDetails, extraction });
+
+    return responseCache.wrap('trending', cacheKey, { refresh }, async () => {
+        console.log(`[API] Scraping TikTok for: "${keyword}" (limit: ${limit}, region: ${region})`);
+        const startTime = Date.now();
+
+        // Scrape TikTok
+        const { videos, extractionMethod, truncated, truncatedReason } = await scrapeTikTokSearch(keyword, {
+            limit,
+            withDetails,
+            region,
+            lang,
+            extraction,
+            onProgress,
+        });
+
+        // Analyze trends
+        onProgress(95, 'Analyzing trends');
+        const result = buildTrendingResult({
+            keyword: keyword.trim(),
+            region,
+            lang,
+            scrapedAt: new Date().toISOString(),
+            scrapeDurationMs: Date.now() - startTime,
+            extractionMethod,
+            truncated,
+            truncatedReason,
+            videos,
+        }, rankBy);
+
+        // Keep a snapshot for /api/trending/history
+        saveSnapshot(keyword, result, countItems(videos, result.keyword));
+
+        return result;
+    });
+}
+
+// ─── Raw Search ───────────────────────────────────────────
+async function runSearch(keyword, options = {}) {
+    const { limit = 20, withDetails = false, extraction = 'auto', refresh = false, onProgress = () => {} } = options;
+    const { region, lang } = resolveRegion(options);
+    const cacheKey = getVideoCacheKey(keyword, { region, lang, limit, withDetails, extraction });
+
+    return responseCache.wrap('search', cacheKey, { refresh }, async () => {
+        console.log(`[API] Raw search for: "${keyword}" (limit: ${limit}, region: ${region})`);
+        const startTime = Date.now();
+
+        const { videos, extractionMethod, truncated, truncatedReason } = await scrapeTikTokSearch(keyword, {
+            limit,
+            withDetails,
+            region,
+            lang,
+            extraction,
+            onProgress,
+        });
+
+        return {
+            keyword: keyword.trim(),
+            region,
+            lang,
+            scrapedAt: new Date().toISOString(),
+            scrapeDurationMs: Date.now() - startTime,
+            extractionMethod,
+            truncated,
+            truncatedReason,
+            totalResults: videos.length,
+            videos,
+        };
+    });
+}
+
+// ─── Hashtag Pages & Creator Profiles ─────────────────────
+// Shared by runHashtag/runCreator: scrape, optionally analyze, cache
+async function runProfile(route, name, scrape, options) {
+    const {
+        limit = 20,
+        withDetails = false,
+        analyze = false,
+        rankBy = 'count',
+        extraction = 'auto',
+        refresh = false,
+        onProgress = () => {},
+    } = options;
+    const { region, lang } = resolveRegion(options);
+    const cacheKey = getVideoCacheKey(name, {
+        region,
+        lang,
+        limit,
+        rankBy: analyze ? rankBy : null,
+        withDetails,
+        extraction,
+    });
+
+    return responseCache.wrap(route, cacheKey, { refresh }, async () => {
+        const startTime = Date.now();
+        const { videos, ...profile } = await scrape(name, { limit, withDetails, region, lang, extraction, onProgress });
+
+        const result = {
+            ...profile,
+            region,
+            lang,
+            scrapedAt: new Date().toISOString(),
+            scrapeDurationMs: Date.now() - startTime,
+            totalResults: videos.length,
+            videos,
+        };
+
+        if (analyze) {
+            onProgress(95, 'Analyzing trends');
+            result.analysis = analyzeTrends(videos, name.replace(/^[#@]/, ''), { rankBy });
+        }
+
+        return result;
+    });
+}
+
+async function runHashtag(tag, options = {}) {
+    console.log(`[API] Scraping TikTok tag page: #${tag.replace(/^#/, '')}`);
+    return runProfile('hashtag', `#${tag.replace(/^#/, '').trim()}`, scrapeTikTokHashtag, options);
+}
+
+async function runCreator(handle, options = {}) {
+    console.log(`[API] Scraping TikTok creator: @${handle.replace(/^@/, '')}`);
+    return runProfile('creator', `@${handle.replace(/^@/, '').trim()}`, scrapeTikTokCreator, options);
+}
+
+// ─── Keyword Research ─────────────────────────────────────
+async function runKeywords(keyword, options = {}) {
+    const {
+        platform = 'google',
+        tab = 'suggestions',
+        minVolume = 0,
+        maxVolume = Infinity,
+        minTrend = null,
+        maxCompetition = null,
+        sortBy = null,
+        language = 'id',
+        country = null,
+        refresh = false,
+        onProgress = () => {},
+    } = options;
+    // "all" and an explicit list of every tab share one cache entry
+    const tabs = resolveTabs(tab);
+    const filters = { minVolume, maxVolume, minTrend, maxCompetition, sortBy };
+    const cacheKey = getKeywordsCacheKey(keyword, platform, tabs.join('+'), filters, language, country);
+
+    // KeywordTool data changes slowly and each scrape costs account quota
+    return responseCache.wrap('keywords', cacheKey, { refresh }, async () => {
+        console.log(`[API] Scraping keywordtool.io for: "${keyword}" on ${platform} (volume: ${minVolume}-${maxVolume === Infinity ? '∞' : maxVolume})`);
+        const startTime = Date.now();
+
+        const result = await scrapeKeywords(keyword, {
+            platform,
+            tab: tabs,
+            ...filters,
+            language,
+            country,
+            onProgress,
+        });
+
+        return {
+            keyword: keyword.trim(),
+            platform,
+            tab: tabs.length === 1 ? tabs[0] : tabs,
+            language,
+            country,
+            scrapedAt: new Date().toISOString(),
+            scrapeDurationMs: Date.now() - startTime,
+            ...result,
+            isSuccess: true,
+        };
+    });
+}
+
+/**
+ * Unwrap a cache entry into the response body (used by jobs and batch callers)
+ */
+function toResponseBody(result) {
+    return { ...result.data, fromCache: result.fromCache };
+}
+
+module.exports = {
+    runTrending,
+    runSearch,
+    runHashtag,
+    runCreator,
+    runKeywords,
+    buildTrendingResult,
+    toResponseBody,
+};
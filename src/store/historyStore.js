@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// ─── Snapshot Files (one JSON-lines file per keyword) ─────
+// Snapshots store every hashtag/keyword with its count (basis "all").
+// Older ones only kept the response's top 20, ranked by that request's
+// rankBy (basis "top20-<rankBy>"); series never mix bases.
+const SNAPSHOT_BASIS = 'all';
+
+function normalizeKeyword(keyword) {
+    return keyword.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function toHistoryFile(slug) {
+    return path.join(config.historyDir, `${slug.replace(/^-|-$/g, '') || '_'}.jsonl`);
+}
+
+// Letters and digits of any script; everything else becomes "-"
+function getHistoryFile(keyword) {
+    return toHistoryFile(normalizeKeyword(keyword).replace(/[^\p{L}\p{M}\p{N}]+/gu, '-'));
+}
+
+// Files written before non-Latin slugs (may hold other keywords too: snapshots are filtered by keyword)
+function getLegacyHistoryFile(keyword) {
+    return toHistoryFile(normalizeKeyword(keyword).replace(/[^a-z0-9\u00C0-\u024F]+/g, '-'));
+}
+
+/**
+ * Append a trending analysis result as a snapshot
+ * @param {string} keyword - Search keyword
+ * @param {object} result - Response body of /api/trending
+ * @param {object} counts - countItems() of the analyzed videos: { hashtags, keywords }
+ */
+function saveSnapshot(keyword, result, counts) {
+    if (!config.historyEnabled) return null;
+
+    const snapshot = {
+        keyword: normalizeKeyword(keyword),
+        timestamp: result.scrapedAt || new Date().toISOString(),
+        region: result.region || 'US',
+        basis: SNAPSHOT_BASIS,
+        rankBy: result.rankBy || 'count',
+        totalVideos: result.totalVideosAnalyzed || 0,
+        hashtags: counts.hashtags.map((h) => ({
+            tag: h.tag,
+            count: h.count,
+            totalViews: h.totalViews || 0,
+            totalEngagement: h.totalEngagement || 0,
+        })),
+        keywords: counts.keywords.map((w) => ({
+            word: w.word,
+            count: w.count,
+            totalViews: w.totalViews || 0,
+            totalEngagement: w.totalEngagement || 0,
+        })),
+        themes: (result.themes || []).map((t) => ({ label: t.label, tags: t.tags, videos: t.videos })),
+    };
+
+    try {
+        fs.mkdirSync(config.historyDir, { recursive: true });
+        fs.appendFileSync(getHistoryFile(keyword), JSON.stringify(snapshot) + '\n');
+    } catch (err) {
+        console.log('[History] Failed to save snapshot:', err.message);
+        return null;
+    }
+    return snapshot;
+}
+
+function getBasis(snapshot) {
+    return snapshot.basis || `top20-${snapshot.rankBy || 'count'}`;
+}
+
+/**
+ * Read snapshots for a keyword, oldest first.
+ * Only snapshots sharing the newest one's basis are returned (or `basis`
+ * when given), so counts are always comparable.
+ * @param {string} keyword - Search keyword
+ * @param {object} options - { from: Date, to: Date, region: string, basis: string }
+ */
+function getSnapshots(keyword, options = {}) {
+    const { from, to, region } = options;
+    const files = [...new Set([getLegacyHistoryFile(keyword), getHistoryFile(keyword)])].filter((file) => fs.existsSync(file));
+    if (files.length === 0) return [];
+
+    const normalized = normalizeKeyword(keyword);
+    const snapshots = [];
+
+    const lines = files.flatMap((file) => fs.readFileSync(file, 'utf-8').split('\n'));
+    lines.forEach((line) => {
+        if (!line.trim()) return;
+        let snapshot;
+        try {
+            snapshot = JSON.parse(line);
+        } catch {
+            return; // Skip a torn line from an interrupted write
+        }
+        if (snapshot.keyword !== normalized) return;
+        // Snapshots from before region support were all taken as US
+        if (region && (snapshot.region || 'US') !== region) return;
+
+        const time = new Date(snapshot.timestamp).getTime();
+        if (from && time < from.getTime()) return;
+        if (to && time > to.getTime()) return;
+        snapshots.push({ ...snapshot, basis: getBasis(snapshot) });
+    });
+
+    snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (snapshots.length === 0) return snapshots;
+
+    const basis = options.basis || snapshots[snapshots.length - 1].basis;
+    return snapshots.filter((snapshot) => snapshot.basis === basis);
+}
+
+// ─── Time-Series Queries ──────────────────────────────────
+function buildSeries(snapshots, field, idField) {
+    const series = new Map();
+
+    snapshots.forEach((snapshot, index) => {
+        (snapshot[field] || []).forEach((item) => {
+            const id = item[idField];
+            if (!series.has(id)) {
+                // Zero-fill snapshots where the item did not appear
+                series.set(id, snapshots.map((s) => ({ timestamp: s.timestamp, count: 0, totalViews: 0 })));
+            }
+            const point = series.get(id)[index];
+            point.count = item.count;
+            point.totalViews = item.totalViews || 0;
+        });
+    });
+
+    return Array.from(series.entries())
+        .map(([id, points]) => {
+            const first = points[0].count;
+            const last = points[points.length - 1].count;
+            const change = last - first;
+            return {
+                [idField]: id,
+                direction: change > 0 ? 'rising' : change < 0 ? 'fading' : 'stable',
+                change,
+                latestCount: last,
+                points,
+            };
+        })
+        .sort((a, b) => b.latestCount - a.latestCount || b.change - a.change);
+}
+
+/**
+ * How each hashtag's and keyword's counts changed across snapshots
+ * @param {string} keyword - Search keyword
+ * @param {object} options - { from: Date, to: Date, region: string (default: US) }
+ */
+function getHistory(keyword, options = {}) {
+    // One series per region: mixing them would zero-fill one region's items between the other's points
+    const region = options.region || 'US';
+    const snapshots = getSnapshots(keyword, { ...options, region });
+
+    return {
+        keyword: normalizeKeyword(keyword),
+        region,
+        basis: snapshots.length ? snapshots[0].basis : null,
+        snapshotCount: snapshots.length,
+        snapshots: snapshots.map((s) => ({
+            timestamp: s.timestamp,
+            region: s.region || 'US',
+            rankBy: s.rankBy,
+            totalVideos: s.totalVideos,
+        })),
+        hashtags: buildSeries(snapshots, 'hashtags', 'tag'),
+        keywords: buildSeries(snapshots, 'keywords', 'word'),
+    };
+}
+
+module.exports = { saveSnapshot, getSnapshots, getHistory };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keep in sync with PLATFORM_URLS in scraper/keywordToolScraper.js
+const PLATFORMS = ['google', 'youtube', 'instagram', 'tiktok', 'google-trends'];
+const PLANS = ['free', 'pro'];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:'];
+
+const COOKIE_DIR = path.join(__dirname, '..', 'scraper');
+
+// ─── Sources ──────────────────────────────────────────────
+/**
+ * Accounts from a JSON or YAML file: either a list or { accounts: [...] }
+ */
+function readAccountsFile(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    const data = /\.ya?ml$/i.test(file) ? require('js-yaml').load(text) : JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.accounts;
+    if (!Array.isArray(list)) {
+        throw new Error('expected a list of accounts or { "accounts": [...] }');
+    }
+    return list;
+}
+
+/**
+ * KEYWORDTOOL_EMAIL_<n> / KEYWORDTOOL_PASSWORD_<n> for any n, plus the
+ * optional KEYWORDTOOL_PROXY_<n>, _PLATFORM_<n>, _DAILY_QUOTA_<n>, _PLAN_<n>
+ */
+function readAccountsEnv(env) {
+    return Object.keys(env)
+        .map((key) => key.match(/^KEYWORDTOOL_EMAIL_(\d+)$/))
+        .filter(Boolean)
+        .map((match) => Number(match[1]))
+        .sort((a, b) => a - b)
+        .map((n) => ({
+            label: `KEYWORDTOOL_*_${n}`,
+            fields: {
+                email: env[`KEYWORDTOOL_EMAIL_${n}`],
+                password: env[`KEYWORDTOOL_PASSWORD_${n}`],
+                proxy: env[`KEYWORDTOOL_PROXY_${n}`],
+                platform: env[`KEYWORDTOOL_PLATFORM_${n}`],
+                dailyQuota: env[`KEYWORDTOOL_DAILY_QUOTA_${n}`],
+                plan: env[`KEYWORDTOOL_PLAN_${n}`],
+                // Same file names as the old fixed 1..3 accounts, so saved sessions survive
+                cookieFile: path.join(COOKIE_DIR, `.kt-cookies-${n}.json`),
+            },
+        }))
+        // Blank placeholders like "KEYWORDTOOL_EMAIL_2=" are not accounts
+        .filter(({ fields }) => fields.email || fields.password);
+}
+
+// ─── Validation ───────────────────────────────────────────
+function normalizeAccount(raw, label, errors) {
+    const problem = (message) => errors.push(`${label}: ${message}`);
+    if (!raw || typeof raw !== 'object') {
+        problem('must be an object');
+        return null;
+    }
+
+    const email = String(raw.email || '').trim();
+    const password = raw.password === undefined || raw.password === null ? '' : String(raw.password);
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) problem(`invalid or missing email "${email}"`);
+    if (!password) problem('missing password');
+
+    const proxy = raw.proxy ? String(raw.proxy).trim() : null;
+    if (proxy) {
+        let url = null;
+        try {
+            url = new URL(proxy);
+        } catch {
+            // reported below
+        }
+        if (!url || !PROXY_PROTOCOLS.includes(url.protocol)) {
+            problem(`invalid proxy "${proxy}" (use http://, https:// or socks5://host:port)`);
+        }
+    }
+
+    const platform = raw.platform ? String(raw.platform).trim() : null;
+    if (platform && !PLATFORMS.includes(platform)) {
+        problem(`invalid platform "${platform}" (valid: ${PLATFORMS.join(', ')})`);
+    }
+
+    const hasQuota = raw.dailyQuota !== undefined && raw.dailyQuota !== null && raw.dailyQuota !== '';
+    const dailyQuota = hasQuota ? Number(raw.dailyQuota) : null;
+    if (hasQuota && (!Number.isInteger(dailyQuota) || dailyQuota < 1)) {
+        problem(`invalid dailyQuota "${raw.dailyQuota}" (positive integer)`);
+    }
+
+    const plan = raw.plan ? String(raw.plan).trim().toLowerCase() : 'free';
+    if (!PLANS.includes(plan)) problem(`invalid plan "${raw.plan}" (valid: ${PLANS.join(', ')})`);
+
+    const slug = email.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return {
+        email,
+        password,
+        proxy,
+        platform,
+        dailyQuota,
+        plan,
+        cookieFile: raw.cookieFile
+            ? path.resolve(raw.cookieFile)
+            : path.join(COOKIE_DIR, `.kt-cookies-${slug}.json`),
+    };
+}
+
+/**
+ * Load KeywordTool accounts from KEYWORDTOOL_ACCOUNTS_FILE (JSON/YAML) or,
+ * without a file, from the numbered env variables.
+ * Problems are collected, not thrown, so startup can report all of them.
+ * @returns {{ accounts: Array, errors: string[], warnings: string[], source: string }}
+ */
+function loadKeywordToolAccounts(env = process.env) {
+    const errors = [];
+    const warnings = [];
+    let rawAccounts = [];
+    let source = 'env';
+
+    if (env.KEYWORDTOOL_ACCOUNTS_FILE) {
+        const file = path.resolve(env.KEYWORDTOOL_ACCOUNTS_FILE);
+        source = file;
+        try {
+            rawAccounts = readAccountsFile(file).map((fields, index) => ({ fields, label: `${path.basename(file)}[${index}]` }));
+        } catch (err) {
+            errors.push(`KEYWORDTOOL_ACCOUNTS_FILE (${file}): ${err.message}`);
+        }
+    } else {
+        rawAccounts = readAccountsEnv(env);
+    }
+
+    if (env.KEYWORDTOOL_EMAIL || env.KEYWORDTOOL_PASSWORD) {
+        warnings.push('KEYWORDTOOL_EMAIL/KEYWORDTOOL_PASSWORD are ignored; use KEYWORDTOOL_EMAIL_1/KEYWORDTOOL_PASSWORD_1');
+    }
+
+    const seen = new Set();
+    const accounts = [];
+    rawAccounts.forEach(({ fields, label }) => {
+        const account = normalizeAccount(fields, label, errors);
+        if (!account) return;
+
+        const key = account.email.toLowerCase();
+        if (seen.has(key)) {
+            errors.push(`${label}: duplicate account "${account.email}"`);
+            return;
+        }
+        seen.add(key);
+        accounts.push(account);
+    });
+
+    return { accounts, errors, warnings, source };
+}
+
+module.exports = { loadKeywordToolAccounts, PLATFORMS, PLANS };
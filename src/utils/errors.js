@@ -0,0 +1,197 @@
+// ─── Error Types ──────────────────────────────────────────
+// code -> HTTP status, default retryAfter (seconds) and the message shown to
+// clients in English and Indonesian. Codes are part of the API: clients
+// switch on them, so never rename one.
+const ERROR_TYPES = {
+    validation_error: { status: 400, en: 'The request is invalid', id: 'Request tidak valid' },
+    auth_failed: { status: 401, en: 'KeywordTool login failed', id: 'Login KeywordTool gagal' },
+    not_found: { status: 404, en: 'Not found', id: 'Tidak ditemukan' },
+    no_results: { status: 404, en: 'TikTok found no results', id: 'TikTok tidak menemukan hasil' },
+    otp_required: { status: 503, en: 'The KeywordTool account needs OTP verification', id: 'Akun KeywordTool memerlukan OTP/verifikasi' },
+    blocked: { status: 503, en: 'The site blocked the scraper', id: 'Scraper diblokir oleh situs' },
+    captcha: { status: 503, retryAfter: 600, en: 'TikTok showed a captcha', id: 'TikTok menampilkan captcha (verifikasi bot)' },
+    rate_limited: { status: 429, retryAfter: 300, en: 'TikTok is rate limiting requests', id: 'TikTok membatasi request (rate limit)' },
+    login_required: { status: 403, retryAfter: 1800, en: 'TikTok requires a login for this page', id: 'TikTok meminta login untuk halaman ini' },
+    proxy_unavailable: { status: 503, en: 'No working proxy is available right now', id: 'Tidak ada proxy yang bisa dipakai saat ini' },
+    no_accounts: { status: 503, en: 'No KeywordTool account is available', id: 'Tidak ada akun KeywordTool yang tersedia' },
+    timeout: { status: 504, en: 'The scrape timed out', id: 'Scraping melebihi batas waktu' },
+    upstream_error: { status: 502, en: 'The scraped site failed or could not be reached', id: 'Situs yang di-scrape gagal atau tidak bisa dijangkau' },
+    upstream_changed: { status: 502, en: 'The site layout changed and the scraper needs an update', id: 'Tampilan situs berubah, scraper perlu diperbarui' },
+    internal_error: { status: 500, en: 'Internal server error', id: 'Terjadi kesalahan pada server' },
+};
+
+const MESSAGE_LANGUAGES = ['en', 'id'];
+
+// ─── Error Classes ────────────────────────────────────────
+class AppError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_TYPES
+     * @param {string} [message] - What exactly went wrong (defaults to the English type message)
+     * @param {object} [options] - { retryAfter (seconds), details (extra body fields), retryable }
+     */
+    constructor(code, message, options = {}) {
+        const type = ERROR_TYPES[code] || ERROR_TYPES.internal_error;
+        super(message || type.en);
+        this.name = this.constructor.name;
+        this.code = ERROR_TYPES[code] ? code : 'internal_error';
+        this.statusCode = type.status;
+        this.retryAfter = options.retryAfter ?? type.retryAfter ?? null;
+        this.details = options.details || null;
+        // Job retries skip errors that would fail the same way again
+        this.retryable = options.retryable ?? true;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message, options = {}) {
+        super('validation_error', message, { retryable: false, ...options });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, options = {}) {
+        super('not_found', message, { retryable: false, ...options });
+    }
+}
+
+class AuthFailedError extends AppError {
+    constructor(message, options = {}) {
+        super('auth_failed', message, options);
+    }
+}
+
+class OtpRequiredError extends AppError {
+    constructor(message, options = {}) {
+        super('otp_required', message, options);
+    }
+}
+
+class NoAccountsError extends AppError {
+    constructor(message, options = {}) {
+        super('no_accounts', message, options);
+    }
+}
+
+class TimeoutError extends AppError {
+    constructor(message, options = {}) {
+        super('timeout', message, options);
+    }
+}
+
+// Anything else that broke a scrape on the site's side (navigation, crashes, ...)
+class UpstreamError extends AppError {
+    constructor(message, options = {}) {
+        super('upstream_error', message, options);
+    }
+}
+
+class UpstreamChangedError extends AppError {
+    constructor(message, options = {}) {
+        super('upstream_changed', message, options);
+    }
+}
+
+// Bot walls; the subclasses keep their own, more specific code
+class BlockedError extends AppError {
+    constructor(message, options = {}) {
+        const { code = 'blocked', ...rest } = options;
+        super(code, message, rest);
+    }
+}
+
+class CaptchaError extends BlockedError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'captcha' });
+    }
+}
+
+class RateLimitError extends BlockedError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'rate_limited' });
+    }
+}
+
+class LoginRequiredError extends BlockedError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'login_required' });
+    }
+}
+
+// Every proxy we could use is marked dead; retryAfter is when the first one revives
+class ProxyUnavailableError extends BlockedError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'proxy_unavailable' });
+    }
+}
+
+// A definite "nothing here" from TikTok; retrying will not help
+class NoResultsError extends AppError {
+    constructor(message, options = {}) {
+        super('no_results', message, { retryable: false, ...options });
+    }
+}
+
+// ─── Conversion ───────────────────────────────────────────
+/**
+ * Any thrown value -> AppError. Recognises Playwright timeouts and
+ * express.json() parse errors; everything else is an internal_error.
+ */
+function toAppError(err) {
+    if (err instanceof AppError) return err;
+    const message = err && err.message ? err.message : String(err);
+    if (err && err.type === 'entity.parse.failed') return new ValidationError(`Invalid JSON body: ${message}`);
+    if (err && err.name === 'TimeoutError') return new TimeoutError(message);
+    return new AppError('internal_error', message);
+}
+
+/**
+ * The `detail` clients get. An internal_error message is raw exception text
+ * ("Cannot read properties of null..."), so it is replaced by the type
+ * message; callers log the original.
+ */
+function toPublicDetail(error, lang = 'en') {
+    if (error.code !== 'internal_error') return error.message;
+    return ERROR_TYPES.internal_error[MESSAGE_LANGUAGES.includes(lang) ? lang : 'en'];
+}
+
+/**
+ * The one error envelope every route answers with:
+ * { error: { code, status, message, detail, retryAfter, ...details } }
+ * `message` is the type message in `lang` (en|id), `detail` the specific one.
+ */
+function toErrorBody(error, lang = 'en') {
+    const type = ERROR_TYPES[error.code];
+    return {
+        error: {
+            code: error.code,
+            status: error.statusCode,
+            message: type[MESSAGE_LANGUAGES.includes(lang) ? lang : 'en'],
+            detail: toPublicDetail(error, lang),
+            retryAfter: error.retryAfter,
+            ...(error.details || {}),
+        },
+    };
+}
+
+module.exports = {
+    ERROR_TYPES,
+    MESSAGE_LANGUAGES,
+    AppError,
+    ValidationError,
+    NotFoundError,
+    AuthFailedError,
+    OtpRequiredError,
+    NoAccountsError,
+    TimeoutError,
+    UpstreamError,
+    UpstreamChangedError,
+    BlockedError,
+    CaptchaError,
+    RateLimitError,
+    LoginRequiredError,
+    ProxyUnavailableError,
+    NoResultsError,
+    toAppError,
+    toPublicDetail,
+    toErrorBody,
+};
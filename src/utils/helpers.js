@@ -14,12 +14,36 @@ function parseCount(str) {
     return Math.round(num * (multipliers[suffix] || 1));
 }
 
+/**
+ * Extract the numeric video ID from a TikTok video URL
+ */
+function extractVideoId(url) {
+    if (!url || typeof url !== 'string') return '';
+    const match = url.match(/\/video\/(\d+)/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Derive the post date from a TikTok video ID.
+ * The upper 32 bits of the ID are the creation time in Unix seconds.
+ */
+function videoIdToDate(id) {
+    if (!id || !/^\d+$/.test(id)) return null;
+    try {
+        const seconds = Number(BigInt(id) >> 32n);
+        if (!seconds) return null;
+        return new Date(seconds * 1000).toISOString();
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Extract hashtags from text
  */
 function extractHashtags(text) {
     if (!text) return [];
-    const matches = text.match(/#[\w\u00C0-\u024F\u1E00-\u1EFF]+/g);
+    const matches = text.match(/#[\p{L}\p{M}\p{N}_]+/gu);
     return matches ? matches.map((tag) => tag.toLowerCase()) : [];
 }
 
@@ -45,6 +69,26 @@ function delay(min = 1000, max = 3000) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Map over items with at most `concurrency` calls to fn in flight.
+ * Results keep the input order.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
 /**
  * Indonesian + English stop words to filter out common words
  */
@@ -71,4 +115,13 @@ const STOP_WORDS = new Set([
     'created', 'sound', 'original', 'suara', 'asli',
 ]);
 
-module.exports = { parseCount, extractHashtags, cleanText, delay, STOP_WORDS };
+module.exports = {
+    parseCount,
+    extractVideoId,
+    videoIdToDate,
+    extractHashtags,
+    cleanText,
+    delay,
+    mapWithConcurrency,
+    STOP_WORDS,
+};
@@ -0,0 +1,121 @@
+const config = require('../config');
+const { PLATFORM_URLS, TABS, LANGUAGES, COUNTRIES, SORT_MODES, resolveTabs } = require('../scraper/keywordToolScraper');
+const { REGIONS, LANGUAGES: TIKTOK_LANGUAGES, EXTRACTION_MODES } = require('../scraper/tiktokScraper');
+const { RANK_MODES } = require('../analyzer/trendAnalyzer');
+const { normalizeKeywordList } = require('../services/batchService');
+const { ValidationError } = require('./errors');
+
+// Request option checks shared by the routes (server.js) and the job types
+// (jobs/jobTypes.js). `usage` is an example request included in the error.
+
+// ─── Limits ───────────────────────────────────────────────
+// Video limit clamped to 1..MAX_VIDEO_LIMIT (default 20)
+function parseLimit(limit) {
+    return Math.min(Math.max(parseInt(limit, 10) || 20, 1), config.maxVideoLimit);
+}
+
+// ─── TikTok Option Validation ─────────────────────────────
+// Throws a ValidationError for an unsupported region/lang/extraction
+function validateTikTokOptions({ region, lang, extraction }, usage) {
+    if (region && !REGIONS[region]) {
+        throw new ValidationError(`Invalid region: "${region}"`, { details: { validRegions: Object.keys(REGIONS), usage } });
+    }
+    if (lang && !TIKTOK_LANGUAGES.includes(lang)) {
+        throw new ValidationError(`Invalid lang: "${lang}"`, { details: { validLangs: TIKTOK_LANGUAGES, usage } });
+    }
+    if (extraction && !EXTRACTION_MODES.includes(extraction)) {
+        throw new ValidationError(`Invalid extraction: "${extraction}"`, { details: { validExtraction: EXTRACTION_MODES, usage } });
+    }
+}
+
+function validateRankBy(rankBy, usage) {
+    if (!RANK_MODES.includes(rankBy)) {
+        throw new ValidationError(`Invalid rankBy: "${rankBy}"`, { details: { validRankBy: RANK_MODES, usage } });
+    }
+}
+
+function requireKeyword(keyword, usage) {
+    // A repeated ?keyword= arrives as an array
+    if (keyword !== undefined && keyword !== null && typeof keyword !== 'string') {
+        throw new ValidationError('Invalid keyword: expected a single string', { details: { usage } });
+    }
+    if (!keyword || keyword.trim().length === 0) {
+        throw new ValidationError('Missing required parameter: keyword', { details: { usage } });
+    }
+}
+
+// ─── KeywordTool Option Validation ────────────────────────
+// Throws a ValidationError for an unsupported platform/tab/language/country
+function validateKeywordToolOptions({ platform, tab, language, country }, usage) {
+    const validPlatforms = Object.keys(PLATFORM_URLS);
+    if (!validPlatforms.includes(platform)) {
+        throw new ValidationError(`Invalid platform: "${platform}"`, {
+            details: { validPlatforms, usage: usage || 'GET /api/keywords/google?keyword=<term>&minVolume=50&maxVolume=200' },
+        });
+    }
+    try {
+        resolveTabs(tab);
+    } catch (err) {
+        throw new ValidationError(err.message, {
+            details: { validTabs: [...TABS, 'all'], usage: usage || 'GET /api/keywords/google?keyword=<term>&tab=questions,related' },
+        });
+    }
+    if (!LANGUAGES[language]) {
+        throw new ValidationError(`Invalid language: "${language}"`, {
+            details: { validLanguages: LANGUAGES, usage: usage || 'GET /api/keywords/google?keyword=<term>&language=en&country=US' },
+        });
+    }
+    if (country && !COUNTRIES[country]) {
+        throw new ValidationError(`Invalid country: "${country}"`, {
+            details: { validCountries: COUNTRIES, usage: usage || 'GET /api/keywords/google?keyword=<term>&language=en&country=US' },
+        });
+    }
+}
+
+// ─── KeywordTool Filters ──────────────────────────────────
+// Parse minVolume/maxVolume/minTrend/maxCompetition/sortBy from a query or body.
+// Throws a ValidationError for a bad value.
+function parseKeywordFilters(source, usage) {
+    const { minVolume, maxVolume, minTrend, maxCompetition, sortBy } = source;
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+    const filters = {
+        minVolume: Math.max(parseInt(minVolume, 10) || 0, 0),
+        maxVolume: maxVolume ? parseInt(maxVolume, 10) || Infinity : Infinity,
+        minTrend: isSet(minTrend) ? parseFloat(minTrend) : null,
+        maxCompetition: isSet(maxCompetition) ? parseFloat(maxCompetition) : null,
+        sortBy: sortBy || null,
+    };
+
+    if (Number.isNaN(filters.minTrend)) {
+        throw new ValidationError(`Invalid minTrend: "${minTrend}" (percent, e.g. 20 or -10)`, { details: { usage } });
+    }
+    if (Number.isNaN(filters.maxCompetition) || (filters.maxCompetition !== null && (filters.maxCompetition < 0 || filters.maxCompetition > 100))) {
+        throw new ValidationError(`Invalid maxCompetition: "${maxCompetition}" (0-100)`, { details: { usage } });
+    }
+    if (filters.sortBy && !SORT_MODES[filters.sortBy]) {
+        throw new ValidationError(`Invalid sortBy: "${sortBy}"`, { details: { validSortBy: Object.keys(SORT_MODES), usage } });
+    }
+    return filters;
+}
+
+// ─── Batch Keyword Lists ──────────────────────────────────
+// Throws a ValidationError for a missing/oversized keyword list
+function validateKeywordList(keywords, usage) {
+    if (!Array.isArray(keywords) || normalizeKeywordList(keywords).length === 0) {
+        throw new ValidationError('Missing required field: keywords (non-empty array of strings)', { details: { usage } });
+    }
+    if (normalizeKeywordList(keywords).length > config.batch.maxKeywords) {
+        throw new ValidationError(`Too many keywords: max ${config.batch.maxKeywords} per batch`, { details: { usage } });
+    }
+}
+
+module.exports = {
+    parseLimit,
+    requireKeyword,
+    validateTikTokOptions,
+    validateRankBy,
+    validateKeywordToolOptions,
+    parseKeywordFilters,
+    validateKeywordList,
+};